@@ -1,10 +1,23 @@
 import { LightningElement, api, track } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
 import { getSessionContext } from 'commerce/contextApi';
 import getOrdersGroupedByProposal from '@salesforce/apex/ConditionalOrderController.getOrdersGroupedByProposal';
 import updateOrderQuantity from '@salesforce/apex/ConditionalOrderController.updateOrderQuantity';
 import cancelOrder from '@salesforce/apex/ConditionalOrderController.cancelOrder';
-
-export default class ConditionalOrderHistory extends LightningElement {
+import {
+    ORDER_STATUS,
+    getOrderStatusClass,
+    getProposalStatusClass,
+    isOrderModifiable,
+    formatWaitlistPosition,
+    getOrderPricing,
+    formatTierDiscount,
+    formatCurrency,
+    formatDate,
+    reduceErrors
+} from 'c/groupBuyCore';
+
+export default class ConditionalOrderHistory extends NavigationMixin(LightningElement) {
     @api recordId;
 
     @track orderGroups = [];
@@ -58,7 +71,7 @@ export default class ConditionalOrderHistory extends LightningElement {
             this.orderGroups = this.processOrderGroups(result);
         } catch (error) {
             console.error('Error loading orders:', error);
-            this.errorMsg = 'Failed to load your orders. Please try again.';
+            this.errorMsg = reduceErrors(error, 'Failed to load your orders. Please try again.');
             this.orderGroups = [];
         } finally {
             this.isLoading = false;
@@ -70,24 +83,20 @@ export default class ConditionalOrderHistory extends LightningElement {
             const proposal = group.proposal;
             const orders = group.orders || [];
             const discounts = group.discounts || [];
+            const waitlistPositions = group.waitlistPositions || {};
+            const orderSummaryIds = group.orderSummaryIds || {};
 
-            // Calculate current discount based on booked quota
+            // Current tier and discount are computed server-side, settled when the proposal closes
             const bookedQuota = proposal.Booked_Quota__c || 0;
-            const currentDiscount = this.findCurrentDiscount(discounts, bookedQuota);
+            const currentDiscount = discounts.find(d => d.Id === group.currentTierId) || null;
 
-            // --- FIX 1: Normalize Discount Values ---
-            const currentDiscountVal = currentDiscount ? this.normalizePercentage(currentDiscount.Discount__c) : 0;
+            const isSettled = proposal.Final_Price__c !== null && proposal.Final_Price__c !== undefined;
 
             // Process discounts
             const processedDiscounts = discounts.map(d => {
-                const rawDiscount = d.Discount__c || 0;
-                // Determine if we display as-is or need formatting
-                // If raw > 1 (e.g. 10), it's 10%. If raw <= 1 (e.g. 0.1), it's 10%.
-                const displayPercent = rawDiscount > 1 ? rawDiscount : (rawDiscount * 100);
-
                 return {
                     ...d,
-                    discountPercent: displayPercent.toFixed(1),
+                    discountLabel: formatTierDiscount(d),
                     rangeText: `${d.Min_Quota_For_Discount__c} - ${d.Max_Quota_Discount__c}`,
                     isCurrent: currentDiscount && d.Id === currentDiscount.Id,
                     cssClass: currentDiscount && d.Id === currentDiscount.Id ? 'discount-tier current' : 'discount-tier'
@@ -107,24 +116,33 @@ export default class ConditionalOrderHistory extends LightningElement {
                 displayProgress = rawProgress * 100;
             }
 
-            const processedOrders = orders.map(order => ({
-                ...order,
-                isConfirmed: order.Status__c === 'Confirmed',
-                isCancelled: order.Status__c === 'Cancelled',
-                canEdit: order.Status__c !== 'Confirmed' && order.Status__c !== 'Cancelled',
-                canCancel: order.Status__c !== 'Confirmed' && order.Status__c !== 'Cancelled',
-                statusClass: this.getStatusClass(order.Status__c),
-                formattedDate: this.formatDate(order.CreatedDate),
-                unitPrice: this.formatCurrency(proposal.Base_Price__c),
-                totalPrice: this.formatCurrency((proposal.Base_Price__c || 0) * (order.Quantity__c || 0)),
-                // Use normalized discount (decimal format) for math
-                discountedUnitPrice: currentDiscount
-                    ? this.formatCurrency((proposal.Base_Price__c || 0) * (1 - currentDiscountVal))
-                    : null,
-                discountedTotalPrice: currentDiscount
-                    ? this.formatCurrency((proposal.Base_Price__c || 0) * (1 - currentDiscountVal) * (order.Quantity__c || 0))
-                    : null
-            }));
+            const processedOrders = orders.map(order => {
+                const pricing = getOrderPricing(order, proposal);
+                const quantity = order.Quantity__c || 0;
+                return {
+                    ...order,
+                    isConfirmed: order.Status__c === ORDER_STATUS.CONFIRMED,
+                    isCancelled: order.Status__c === ORDER_STATUS.CANCELLED,
+                    isWaitlisted: order.Status__c === ORDER_STATUS.WAITLISTED,
+                    isConverted: order.Status__c === ORDER_STATUS.CONVERTED && !!order.Order__c,
+                    placedOrderNumber: order.Order__r?.OrderNumber || '',
+                    orderSummaryId: orderSummaryIds[order.Id] || null,
+                    waitlistLabel: formatWaitlistPosition(waitlistPositions[order.Id]),
+                    organizerCancelNote: order.Cancelled_By_Organizer__c
+                        ? `Cancelled by the organizer: ${order.Cancellation_Reason__c || 'no reason given'}`
+                        : '',
+                    canEdit: isOrderModifiable(order.Status__c),
+                    canCancel: isOrderModifiable(order.Status__c),
+                    statusClass: getOrderStatusClass(order.Status__c),
+                    formattedDate: formatDate(order.CreatedDate),
+                    unitPrice: formatCurrency(pricing.basePrice),
+                    totalPrice: formatCurrency(pricing.basePrice * quantity),
+                    discountedUnitPrice: pricing.isDiscounted ? formatCurrency(pricing.unitPrice) : null,
+                    discountedTotalPrice: pricing.isDiscounted ? formatCurrency(pricing.unitPrice * quantity) : null,
+                    priceLabel: pricing.isSettled ? 'Settled' : 'Estimated',
+                    priceLabelClass: pricing.isSettled ? 'price-label price-label-settled' : 'price-label'
+                };
+            });
 
             const totalQuantity = orders.reduce((sum, o) => sum + (o.Quantity__c || 0), 0);
 
@@ -137,19 +155,22 @@ export default class ConditionalOrderHistory extends LightningElement {
                     ...proposal,
                     productName: proposal.Product__r?.Name || 'N/A',
                     productCode: proposal.Product__r?.ProductCode || '',
-                    basePriceFormatted: this.formatCurrency(proposal.Base_Price__c),
+                    basePriceFormatted: formatCurrency(proposal.Base_Price__c),
+                    isSettled,
+                    finalPriceFormatted: isSettled ? formatCurrency(proposal.Final_Price__c) : null,
                     progressPercent: Math.round(displayProgress),
                     progressStyle: `width: ${Math.min(100, displayProgress)}%`,
                     bookedQuota: bookedQuota,
-                    statusClass: this.getProposalStatusClass(proposal.Status__c),
-                    startDateFormatted: this.formatDate(proposal.Start_Date__c),
-                    endDateFormatted: this.formatDate(proposal.End_Date__c)
+                    statusClass: getProposalStatusClass(proposal.Status__c, { base: 'proposal-status' }),
+                    startDateFormatted: formatDate(proposal.Start_Date__c),
+                    endDateFormatted: formatDate(proposal.End_Date__c)
                 },
                 orders: processedOrders,
                 discounts: processedDiscounts,
                 hasDiscounts: discounts.length > 0,
                 currentDiscount: currentDiscount ? {
-                    percent: (currentDiscountVal * 100).toFixed(1),
+                    title: isSettled ? 'Final Discount' : 'Current Discount',
+                    label: formatTierDiscount(currentDiscount),
                     range: `${currentDiscount.Min_Quota_For_Discount__c} - ${currentDiscount.Max_Quota_Discount__c}`
                 } : null,
                 totalQuantity,
@@ -158,35 +179,6 @@ export default class ConditionalOrderHistory extends LightningElement {
         });
     }
 
-    /**
-     * Helper to turn any value (10 or 0.1) into a standard decimal (0.1)
-     */
-    normalizePercentage(value) {
-        if (!value) return 0;
-        // If value is greater than 1, assume it is a whole number percent (e.g., 10 = 10%)
-        // Exception: if discount is 100% (free), value 1 is ambiguous (1% or 100%).
-        // Contextually for discounts, 5, 10, 15 are common. 0.05, 0.1 are common.
-        if (value > 1) {
-            return value / 100;
-        }
-        return value;
-    }
-
-    findCurrentDiscount(discounts, bookedQuota) {
-        if (!discounts || discounts.length === 0) return null;
-
-        const sorted = [...discounts].sort((a, b) =>
-            (b.Min_Quota_For_Discount__c || 0) - (a.Min_Quota_For_Discount__c || 0)
-        );
-
-        for (const discount of sorted) {
-            if (bookedQuota >= (discount.Min_Quota_For_Discount__c || 0)) {
-                return discount;
-            }
-        }
-        return null;
-    }
-
     get hasOrders() {
         return this.orderGroups.length > 0;
     }
@@ -214,41 +206,6 @@ export default class ConditionalOrderHistory extends LightningElement {
         return icons[this.notification?.type] || 'utility:info';
     }
 
-    formatCurrency(value) {
-        if (value == null) return 'N/A';
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(value);
-    }
-
-    formatDate(dateStr) {
-        if (!dateStr) return 'N/A';
-        return new Date(dateStr).toLocaleDateString();
-    }
-
-    getStatusClass(status) {
-        const classes = {
-            'Pending': 'status-badge status-pending',
-            'Confirmed': 'status-badge status-confirmed',
-            'Cancelled': 'status-badge status-cancelled'
-        };
-        return classes[status] || 'status-badge';
-    }
-
-    getProposalStatusClass(status) {
-        const classes = {
-            'Created': 'proposal-status status-created',
-            'Pending Approval': 'proposal-status status-pending',
-            'Approved': 'proposal-status status-approved',
-            'Active': 'proposal-status status-active',
-            'Rejected': 'proposal-status status-rejected',
-            'Expired': 'proposal-status status-expired',
-            'Closed': 'proposal-status status-closed'
-        };
-        return classes[status] || 'proposal-status';
-    }
-
     handleToggleGroup(event) {
         const proposalId = event.currentTarget.dataset.id;
         this.orderGroups = this.orderGroups.map(group => {
@@ -268,6 +225,22 @@ export default class ConditionalOrderHistory extends LightningElement {
         this.loadOrders();
     }
 
+    handleViewPlacedOrder(event) {
+        const orderId = event.currentTarget.dataset.id;
+        const order = this.findOrderById(orderId);
+        if (!order || !order.Order__c) return;
+
+        // Buyers see the OrderSummary in the store; fall back to the Order until it is created
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: {
+                recordId: order.orderSummaryId || order.Order__c,
+                objectApiName: order.orderSummaryId ? 'OrderSummary' : 'Order',
+                actionName: 'view'
+            }
+        });
+    }
+
     handleEditOrder(event) {
         const orderId = event.currentTarget.dataset.id;
         const order = this.findOrderById(orderId);
@@ -306,7 +279,7 @@ export default class ConditionalOrderHistory extends LightningElement {
             await this.loadOrders();
         } catch (error) {
             console.error('Error updating order:', error);
-            this.showNotification(error.body?.message || 'Failed to update order', 'error');
+            this.showNotification(reduceErrors(error, 'Failed to update order'), 'error');
         } finally {
             this.isSaving = false;
         }
@@ -336,7 +309,7 @@ export default class ConditionalOrderHistory extends LightningElement {
             await this.loadOrders();
         } catch (error) {
             console.error('Error cancelling order:', error);
-            this.showNotification(error.body?.message || 'Failed to cancel order', 'error');
+            this.showNotification(reduceErrors(error, 'Failed to cancel order'), 'error');
         } finally {
             this.isCancelling = false;
         }
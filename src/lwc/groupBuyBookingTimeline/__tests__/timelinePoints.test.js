@@ -0,0 +1,52 @@
+import { getBookingTimelinePoints, projectBookedQuota } from '../timelinePoints';
+
+describe('Group Buy Booking Timeline: Timeline Points', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const start = Date.UTC(2026, 2, 1);
+    const timeline = {
+        status: 'Active',
+        startDate: new Date(start).toISOString(),
+        endDate: new Date(start + 10 * DAY).toISOString(),
+        maxQuota: 100,
+        bookedQuota: 30,
+        points: [
+            { bookedAt: new Date(start + DAY).toISOString(), bookedQuota: 10 },
+            { bookedAt: new Date(start + 3 * DAY).toISOString(), bookedQuota: 30 }
+        ]
+    };
+
+    it('starts at zero and holds the booked quota up to now', () => {
+        // Act
+        const points = getBookingTimelinePoints(timeline, start + 4 * DAY);
+
+        // Assert
+        expect(points).toEqual([
+            { x: start, y: 0 },
+            { x: start + DAY, y: 10 },
+            { x: start + 3 * DAY, y: 30 },
+            { x: start + 4 * DAY, y: 30 }
+        ]);
+    });
+
+    it('stops at the end date of an ended proposal', () => {
+        // Act
+        const points = getBookingTimelinePoints(timeline, start + 20 * DAY);
+
+        // Assert
+        expect(points[points.length - 1]).toEqual({ x: start + 10 * DAY, y: 30 });
+        expect(getBookingTimelinePoints(null)).toEqual([]);
+    });
+
+    it('projects the booking pace to the end date', () => {
+        // Assert
+        expect(projectBookedQuota(timeline, start + 5 * DAY)).toEqual({ x: start + 10 * DAY, y: 60 });
+        expect(projectBookedQuota(timeline, start + DAY)).toEqual({ x: start + 10 * DAY, y: 100 });
+    });
+
+    it('does not project proposals that are not running', () => {
+        // Assert
+        expect(projectBookedQuota({ ...timeline, status: 'Closed' }, start + 5 * DAY)).toBeNull();
+        expect(projectBookedQuota(timeline, start + 20 * DAY)).toBeNull();
+        expect(projectBookedQuota(timeline, start)).toBeNull();
+    });
+});
@@ -0,0 +1,190 @@
+import { LightningElement, api, track } from 'lwc';
+import { loadScript } from 'lightning/platformResourceLoader';
+import CHARTJS from '@salesforce/resourceUrl/chartjs';
+import getProposalBookingTimeline from '@salesforce/apex/GroupProposalController.getProposalBookingTimeline';
+import { formatDate, reduceErrors } from 'c/groupBuyCore';
+import { getBookingTimelinePoints, projectBookedQuota } from './timelinePoints';
+
+const COLOR_BRAND = '#0176d3';
+const COLOR_MIN = '#8c6900';
+const COLOR_MAX = '#c23934';
+const COLOR_TIER = '#2e844a';
+
+/**
+ * Chart of how the booked quota of a proposal grew, with its Min/Max quota and discount tier
+ * thresholds as reference lines and the projected booked quota at its end date
+ */
+export default class GroupBuyBookingTimeline extends LightningElement {
+    @api proposalId;
+
+    // Reloads the timeline when the booked quota of the parent changes, e.g. on live updates
+    _bookedQuota;
+    @api
+    get bookedQuota() {
+        return this._bookedQuota;
+    }
+    set bookedQuota(value) {
+        const changed = this._initialized && value !== this._bookedQuota;
+        this._bookedQuota = value;
+        if (changed) {
+            this.loadTimeline();
+        }
+    }
+
+    @track timeline = null;
+    @track isLoading = false;
+    @track errorMsg = '';
+    _initialized = false;
+
+    chartJsRequested = false;
+    chartJsLoaded = false;
+    chartDirty = false;
+    chart = null;
+
+    connectedCallback() {
+        this._initialized = true;
+        this.loadTimeline();
+    }
+
+    renderedCallback() {
+        if (!this.chartJsRequested) {
+            this.chartJsRequested = true;
+            loadScript(this, CHARTJS)
+                .then(() => {
+                    this.chartJsLoaded = true;
+                    this.renderChart();
+                })
+                .catch(error => {
+                    this.errorMsg = reduceErrors(error, 'Failed to load the chart');
+                });
+        }
+        if (this.chartDirty) {
+            this.renderChart();
+        }
+    }
+
+    disconnectedCallback() {
+        this.destroyChart();
+    }
+
+    async loadTimeline() {
+        if (!this.proposalId) {
+            return;
+        }
+        this.isLoading = true;
+        this.errorMsg = '';
+        try {
+            this.timeline = await getProposalBookingTimeline({ proposalId: this.proposalId });
+            this.chartDirty = true;
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to load the booking timeline');
+            this.timeline = null;
+            this.destroyChart();
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ===============================
+    // CHART
+    // ===============================
+
+    renderChart() {
+        const canvas = this.template.querySelector('canvas');
+        if (!this.chartJsLoaded || !this.timeline || !canvas) {
+            return;
+        }
+        this.chartDirty = false;
+        this.destroyChart();
+
+        const points = getBookingTimelinePoints(this.timeline);
+        const projection = projectBookedQuota(this.timeline);
+        const start = points.length > 0 ? points[0].x : Date.now();
+        const end = Math.max(new Date(this.timeline.endDate).getTime() || 0, points.length > 0 ? points[points.length - 1].x : start);
+        const referenceLine = (label, value, color, dash) => ({
+            label,
+            data: [{ x: start, y: value }, { x: end, y: value }],
+            borderColor: color,
+            borderWidth: 1,
+            borderDash: dash,
+            pointRadius: 0
+        });
+
+        const datasets = [{
+            label: 'Booked',
+            data: points,
+            stepped: true,
+            borderColor: COLOR_BRAND,
+            backgroundColor: 'rgba(1, 118, 211, 0.1)',
+            fill: true,
+            pointRadius: 0
+        }];
+        if (projection && points.length > 0) {
+            datasets.push({
+                label: 'Projected',
+                data: [points[points.length - 1], projection],
+                borderColor: COLOR_BRAND,
+                borderDash: [6, 4],
+                pointRadius: [0, 3]
+            });
+        }
+        if (this.timeline.minQuota) {
+            datasets.push(referenceLine('Min quota', this.timeline.minQuota, COLOR_MIN, [4, 4]));
+        }
+        if (this.timeline.maxQuota) {
+            datasets.push(referenceLine('Max quota', this.timeline.maxQuota, COLOR_MAX, [4, 4]));
+        }
+        this.timeline.tierThresholds.forEach((threshold, index) => {
+            datasets.push(referenceLine(`Tier ${index + 1}`, threshold, COLOR_TIER, [2, 3]));
+        });
+
+        this.chart = new window.Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                parsing: false,
+                interaction: { mode: 'nearest', intersect: false },
+                plugins: {
+                    legend: { position: 'bottom', labels: { boxWidth: 12 } },
+                    tooltip: { callbacks: { title: items => (items.length ? formatDate(items[0].parsed.x) : '') } }
+                },
+                scales: {
+                    x: { type: 'linear', min: start, max: end, ticks: { callback: value => formatDate(value), maxTicksLimit: 6 } },
+                    y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Units' } }
+                }
+            }
+        });
+    }
+
+    destroyChart() {
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get hasTimeline() {
+        return !!this.timeline;
+    }
+
+    get projectionLabel() {
+        const projection = this.timeline ? projectBookedQuota(this.timeline) : null;
+        if (!projection) {
+            return '';
+        }
+        const minQuota = Number(this.timeline.minQuota) || 0;
+        const pace = `At the current pace: about ${projection.y} units by ${formatDate(projection.x)}`;
+        if (Number(this.timeline.bookedQuota) >= minQuota) {
+            return `${pace}.`;
+        }
+        return projection.y >= minQuota
+            ? `${pace}, on track to reach the minimum quota.`
+            : `${pace}, ${minQuota - projection.y} units short of the minimum quota.`;
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * Chart data of the booking timeline of a proposal (GroupProposalController.getProposalBookingTimeline).
+ */
+import { PROPOSAL_STATUS } from 'c/groupBuyCore';
+
+/**
+ * Cumulative booked quota of a proposal as chart points, from GroupProposalController.getProposalBookingTimeline
+ *
+ * @param {object} timeline BookingTimeline with startDate, endDate, bookedQuota and points
+ * @param {number} [now=Date.now()]
+ * @returns {Array<{x: number, y: number}>} time in ms and booked quota: 0 at the start date, each
+ *          change, then the current booked quota up to now or the end date, whichever comes first
+ */
+export function getBookingTimelinePoints(timeline, now = Date.now()) {
+    if (!timeline) {
+        return [];
+    }
+    const points = (timeline.points || [])
+        .map(point => ({ x: new Date(point.bookedAt).getTime(), y: Number(point.bookedQuota) || 0 }))
+        .filter(point => !isNaN(point.x));
+
+    const start = new Date(timeline.startDate).getTime();
+    if (!isNaN(start) && (points.length === 0 || start < points[0].x)) {
+        points.unshift({ x: start, y: 0 });
+    }
+
+    const end = new Date(timeline.endDate).getTime();
+    const last = isNaN(end) ? now : Math.min(now, end);
+    if (points.length > 0 && last > points[points.length - 1].x) {
+        points.push({ x: last, y: Number(timeline.bookedQuota) || 0 });
+    }
+    return points;
+}
+
+/**
+ * Booked quota of an active proposal at its end date, extrapolated from the average booking pace
+ * since its start date, and capped at Max_Quota__c
+ *
+ * @param {object} timeline BookingTimeline with status, startDate, endDate, maxQuota and bookedQuota
+ * @param {number} [now=Date.now()]
+ * @returns {{x: number, y: number}|null} end date in ms and projected quota; null when the proposal
+ *          is not active or not running
+ */
+export function projectBookedQuota(timeline, now = Date.now()) {
+    if (!timeline || timeline.status !== PROPOSAL_STATUS.ACTIVE) {
+        return null;
+    }
+    const start = new Date(timeline.startDate).getTime();
+    const end = new Date(timeline.endDate).getTime();
+    if (isNaN(start) || isNaN(end) || now <= start || now >= end) {
+        return null;
+    }
+
+    const booked = Number(timeline.bookedQuota) || 0;
+    let projected = Math.round(booked + (booked / (now - start)) * (end - now));
+    const maxQuota = Number(timeline.maxQuota);
+    if (maxQuota > 0) {
+        projected = Math.min(projected, maxQuota);
+    }
+    return { x: end, y: projected };
+}
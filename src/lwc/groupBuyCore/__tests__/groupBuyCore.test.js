@@ -0,0 +1,773 @@
+import {
+    PROPOSAL_STATUS,
+    PROPOSAL_TYPE,
+    ORDER_STATUS,
+    DISCOUNT_TYPE,
+    APPROVAL_CASE_TYPE,
+    DEFAULT_ERROR_MESSAGE,
+    getProposalStatusClass,
+    getProposalStatusOptions,
+    getNextProposalStatuses,
+    canTransitionProposal,
+    isProposalEditable,
+    isProposalDeletable,
+    canSubmitProposalForApproval,
+    isProposalAcceptingOrders,
+    isProposalRelaunchable,
+    formatApprovalReviewer,
+    getOrderStatusClass,
+    isOrderModifiable,
+    formatWaitlistPosition,
+    validateAccountLimits,
+    formatAccountLimits,
+    getOrderQuantityRange,
+    validateProposal,
+    getCardPaymentInfo,
+    getPaymentNotice,
+    formatCurrency,
+    parseDate,
+    formatDate,
+    formatDateTime,
+    getDeadlineBadges,
+    formatDiscountPercent,
+    formatDiscount,
+    applyDiscount,
+    getDiscountTypeOptions,
+    getTierUnitPrice,
+    formatTierDiscount,
+    getOrderPricing,
+    MAX_TIER_DISCOUNT_PERCENT,
+    TIER_ISSUE,
+    TIER_ISSUE_SEVERITY,
+    analyzeTiers,
+    sanitizeRichText,
+    reduceErrors
+} from 'c/groupBuyCore';
+
+describe('Group Buy Core: proposal status', () => {
+    [
+        [PROPOSAL_STATUS.CREATED, 'status-badge status-created'],
+        [PROPOSAL_STATUS.PENDING_APPROVAL, 'status-badge status-pending'],
+        [PROPOSAL_STATUS.APPROVED, 'status-badge status-approved'],
+        [PROPOSAL_STATUS.ACTIVE, 'status-badge status-active'],
+        [PROPOSAL_STATUS.REJECTED, 'status-badge status-rejected'],
+        [PROPOSAL_STATUS.EXPIRED, 'status-badge status-expired'],
+        [PROPOSAL_STATUS.CLOSED, 'status-badge status-closed'],
+        ['Unknown', 'status-badge status-default'],
+        [undefined, 'status-badge status-default']
+    ].forEach(([status, expectedClass]) => {
+        it(`returns "${expectedClass}" for status ${status}`, () => {
+            // Act
+            const statusClass = getProposalStatusClass(status);
+
+            // Assert
+            expect(statusClass).toBe(expectedClass);
+        });
+    });
+
+    it('builds the status class with a custom base and prefix', () => {
+        // Act
+        const statusClass = getProposalStatusClass(PROPOSAL_STATUS.ACTIVE, {
+            base: 'badge',
+            prefix: 'badge'
+        });
+
+        // Assert
+        expect(statusClass).toBe('badge badge-active');
+    });
+
+    it('returns the status options in workflow order', () => {
+        // Act
+        const options = getProposalStatusOptions();
+
+        // Assert
+        expect(options.map((option) => option.value)).toEqual([
+            'Created',
+            'Pending Approval',
+            'Approved',
+            'Active',
+            'Rejected',
+            'Expired',
+            'Closed'
+        ]);
+        expect(options[1]).toEqual({
+            label: 'Pending Approval',
+            value: 'Pending Approval'
+        });
+    });
+
+    it('derives the allowed actions from the status', () => {
+        // Assert
+        expect(isProposalEditable(PROPOSAL_STATUS.CREATED)).toBe(true);
+        expect(isProposalEditable(PROPOSAL_STATUS.PENDING_APPROVAL)).toBe(true);
+        expect(isProposalEditable(PROPOSAL_STATUS.REJECTED)).toBe(true);
+        expect(isProposalEditable(PROPOSAL_STATUS.ACTIVE)).toBe(false);
+
+        expect(isProposalDeletable(PROPOSAL_STATUS.CREATED)).toBe(true);
+        expect(isProposalDeletable(PROPOSAL_STATUS.REJECTED)).toBe(true);
+        expect(isProposalDeletable(PROPOSAL_STATUS.PENDING_APPROVAL)).toBe(false);
+
+        expect(canSubmitProposalForApproval(PROPOSAL_STATUS.CREATED)).toBe(true);
+        expect(canSubmitProposalForApproval(PROPOSAL_STATUS.REJECTED)).toBe(false);
+
+        expect(isProposalAcceptingOrders(PROPOSAL_STATUS.ACTIVE)).toBe(true);
+        expect(isProposalAcceptingOrders(PROPOSAL_STATUS.APPROVED)).toBe(false);
+        expect(isProposalAcceptingOrders(undefined)).toBe(false);
+
+        expect(isProposalRelaunchable(PROPOSAL_STATUS.EXPIRED)).toBe(true);
+        expect(isProposalRelaunchable(PROPOSAL_STATUS.CLOSED)).toBe(false);
+    });
+});
+
+describe('Group Buy Core: approval routing', () => {
+    it('describes the reviewer with the case type', () => {
+        // Arrange
+        const merchandiser = { caseType: APPROVAL_CASE_TYPE.MERCHANDISER, reviewerName: 'Merchandiser Proposal Review' };
+        const buyer = { caseType: APPROVAL_CASE_TYPE.B2B_BUYER, reviewerName: 'B2B Buyer Proposal Review' };
+
+        // Act / Assert
+        expect(formatApprovalReviewer(merchandiser)).toBe('Merchandiser Proposal Review (Merchandiser request)');
+        expect(formatApprovalReviewer(buyer)).toBe('B2B Buyer Proposal Review (B2B Buyer request)');
+        expect(formatApprovalReviewer({ caseType: 'Other', reviewerName: 'Groupio Support' })).toBe('Groupio Support');
+        expect(formatApprovalReviewer(null)).toBe('');
+        expect(formatApprovalReviewer({ caseType: APPROVAL_CASE_TYPE.MERCHANDISER })).toBe('');
+    });
+});
+
+describe('Group Buy Core: proposal status transitions', () => {
+    [
+        ['Created', 'Pending Approval', true],
+        ['Pending Approval', 'Approved', true],
+        ['Pending Approval', 'Rejected', true],
+        ['Approved', 'Active', true],
+        ['Active', 'Closed', true],
+        ['Active', 'Expired', true],
+        ['Rejected', 'Created', true],
+        ['Created', 'Active', false],
+        ['Pending Approval', 'Active', false],
+        ['Closed', 'Active', false],
+        ['Expired', 'Created', false],
+        [undefined, 'Created', false]
+    ].forEach(([fromStatus, toStatus, expected]) => {
+        it(`${expected ? 'allows' : 'rejects'} ${fromStatus} -> ${toStatus}`, () => {
+            // Act
+            const allowed = canTransitionProposal(fromStatus, toStatus);
+
+            // Assert
+            expect(allowed).toBe(expected);
+        });
+    });
+
+    it('returns a copy of the next statuses', () => {
+        // Arrange
+        const nextStatuses = getNextProposalStatuses(PROPOSAL_STATUS.ACTIVE);
+
+        // Act
+        nextStatuses.push(PROPOSAL_STATUS.CREATED);
+
+        // Assert
+        expect(getNextProposalStatuses(PROPOSAL_STATUS.ACTIVE)).toEqual([
+            PROPOSAL_STATUS.CLOSED,
+            PROPOSAL_STATUS.EXPIRED
+        ]);
+    });
+});
+
+describe('Group Buy Core: order status', () => {
+    it('builds the order status class', () => {
+        // Assert
+        expect(getOrderStatusClass(ORDER_STATUS.PENDING)).toBe(
+            'status-badge status-pending'
+        );
+        expect(getOrderStatusClass(ORDER_STATUS.CONVERTED)).toBe(
+            'status-badge status-converted'
+        );
+        expect(getOrderStatusClass(ORDER_STATUS.WAITLISTED)).toBe(
+            'status-badge status-waitlisted'
+        );
+        expect(getOrderStatusClass('Unknown')).toBe('status-badge');
+    });
+
+    it('only allows pending and waitlisted orders to be modified', () => {
+        // Assert
+        expect(isOrderModifiable(ORDER_STATUS.PENDING)).toBe(true);
+        expect(isOrderModifiable(ORDER_STATUS.WAITLISTED)).toBe(true);
+        expect(isOrderModifiable(ORDER_STATUS.CONFIRMED)).toBe(false);
+        expect(isOrderModifiable(ORDER_STATUS.CANCELLED)).toBe(false);
+        expect(isOrderModifiable(undefined)).toBe(false);
+    });
+
+    it('formats the waitlist position', () => {
+        // Assert
+        expect(formatWaitlistPosition(3)).toBe('#3 in line');
+        expect(formatWaitlistPosition(undefined)).toBe('');
+    });
+});
+
+describe('Group Buy Core: per-account limits', () => {
+    it('accepts blank and consistent limits', () => {
+        // Assert
+        expect(validateAccountLimits({ Max_Quota__c: 100 })).toBeNull();
+        expect(validateAccountLimits({
+            Max_Quota__c: 100,
+            Min_Quantity_Per_Account__c: '2',
+            Max_Quantity_Per_Account__c: ''
+        })).toBeNull();
+        expect(validateAccountLimits({
+            Max_Quota__c: 100,
+            Min_Quantity_Per_Account__c: 2,
+            Max_Quantity_Per_Account__c: 20
+        })).toBeNull();
+    });
+
+    it('rejects inconsistent limits', () => {
+        // Assert
+        expect(validateAccountLimits({ Min_Quantity_Per_Account__c: 0 })).toBe(
+            'Per-account quantities must be at least 1'
+        );
+        expect(validateAccountLimits({
+            Min_Quantity_Per_Account__c: 30,
+            Max_Quantity_Per_Account__c: 20
+        })).toBe('Min Quantity Per Account cannot exceed Max Quantity Per Account');
+        expect(validateAccountLimits({
+            Max_Quota__c: 10,
+            Max_Quantity_Per_Account__c: 20
+        })).toBe('Max Quantity Per Account cannot exceed Max Quota');
+    });
+
+    it('describes the per-account limits', () => {
+        // Assert
+        expect(formatAccountLimits({ Min_Quantity_Per_Account__c: 2, Max_Quantity_Per_Account__c: 20 })).toBe(
+            '2 to 20 units per buyer'
+        );
+        expect(formatAccountLimits({ Min_Quantity_Per_Account__c: 2 })).toBe('At least 2 units per buyer');
+        expect(formatAccountLimits({ Max_Quantity_Per_Account__c: 20 })).toBe('Up to 20 units per buyer');
+        expect(formatAccountLimits({})).toBe('');
+    });
+
+    it('bounds the order quantity by the quota and the per-account limits', () => {
+        // Arrange
+        const proposal = { Min_Quantity_Per_Account__c: 5, Max_Quantity_Per_Account__c: 20 };
+
+        // Assert
+        expect(getOrderQuantityRange(proposal, 100)).toEqual({ min: 5, max: 20 });
+        expect(getOrderQuantityRange(proposal, 12)).toEqual({ min: 5, max: 12 });
+        expect(getOrderQuantityRange(proposal, 3)).toEqual({ min: 5, max: 5 });
+        expect(getOrderQuantityRange({}, 50)).toEqual({ min: 1, max: 50 });
+    });
+});
+
+describe('Group Buy Core: proposal validation', () => {
+    const validProposal = {
+        Name: 'Summer Bundle',
+        Status__c: PROPOSAL_STATUS.CREATED,
+        Type__c: PROPOSAL_TYPE.IMMEDIATE_PAYMENT,
+        Min_Quota__c: 10,
+        Max_Quota__c: 100,
+        Start_Date__c: '2027-06-01T09:00:00.000Z',
+        End_Date__c: '2027-06-30T18:00:00.000Z',
+        Approximate_Deliver_Start_Date__c: '2027-07-15',
+        Description__c: 'Summer bundle group buy'
+    };
+
+    it('accepts a complete proposal', () => {
+        // Assert
+        expect(validateProposal(validProposal, true)).toEqual([]);
+    });
+
+    it('lists the missing fields and the product', () => {
+        // Act
+        const errors = validateProposal({ ...validProposal, Name: '  ', Description__c: '' }, false);
+
+        // Assert
+        expect(errors).toEqual([
+            'Please fill in all required fields: Proposal Name, Description, Product (select or create a product)'
+        ]);
+    });
+
+    it('reports the quota, limit and date rules first', () => {
+        // Act
+        const errors = validateProposal({
+            ...validProposal,
+            Min_Quota__c: 200,
+            Max_Quantity_Per_Account__c: 500,
+            End_Date__c: validProposal.Start_Date__c,
+            Type__c: ''
+        }, true);
+
+        // Assert
+        expect(errors).toEqual([
+            'Min Quota cannot be greater than Max Quota',
+            'Max Quantity Per Account cannot exceed Max Quota',
+            'End Date must be after Start Date',
+            'Please fill in all required fields: Type'
+        ]);
+    });
+});
+
+describe('Group Buy Core: payments', () => {
+    it('reads the card fields of the card component', () => {
+        // Arrange
+        const cardComponent = {
+            cardHolderName: 'Jane Buyer',
+            cardNumber: '4111111111111111',
+            cvv: '123',
+            expiryMonth: 12,
+            expiryYear: 2030,
+            cardType: 'Visa',
+            reportValidity: () => true
+        };
+
+        // Act
+        const paymentInfo = getCardPaymentInfo(cardComponent);
+
+        // Assert
+        expect(paymentInfo).toEqual({
+            cardHolderName: 'Jane Buyer',
+            cardNumber: '4111111111111111',
+            cvv: '123',
+            expiryMonth: 12,
+            expiryYear: 2030,
+            cardType: 'Visa'
+        });
+    });
+
+    it('tells when the card is charged for each proposal type', () => {
+        // Assert
+        expect(getPaymentNotice(PROPOSAL_TYPE.IMMEDIATE_PAYMENT)).toContain('authorized when you join');
+        expect(getPaymentNotice(PROPOSAL_TYPE.PAYMENT_AFTER_REACH_QUOTA)).toContain('reaches its minimum quota');
+    });
+
+    it('tells waitlisted buyers their card is charged when the order is placed', () => {
+        // Assert
+        expect(getPaymentNotice(PROPOSAL_TYPE.IMMEDIATE_PAYMENT, true)).toContain('placed off the waitlist');
+        expect(getPaymentNotice(PROPOSAL_TYPE.PAYMENT_AFTER_REACH_QUOTA, true)).toContain('reaches its minimum quota');
+    });
+});
+
+describe('Group Buy Core: formatting', () => {
+    it('formats currency in the default currency', () => {
+        // Act
+        const formatted = formatCurrency(1234.5);
+
+        // Assert
+        expect(formatted).toBe('$1,234.50');
+    });
+
+    it('formats currency in the given currency', () => {
+        // Act
+        const formatted = formatCurrency('99', 'EUR');
+
+        // Assert
+        expect(formatted).toBe('€99.00');
+    });
+
+    [null, undefined, '', 'abc'].forEach((value) => {
+        it(`returns the fallback for currency value ${JSON.stringify(value)}`, () => {
+            // Assert
+            expect(formatCurrency(value)).toBe('N/A');
+            expect(formatCurrency(value, 'USD', '')).toBe('');
+        });
+    });
+
+    it('returns the fallback for an invalid currency code', () => {
+        // Act
+        const formatted = formatCurrency(10, 'NOT-A-CODE');
+
+        // Assert
+        expect(formatted).toBe('N/A');
+    });
+
+    it('parses date-only values as local calendar dates', () => {
+        // Act
+        const date = parseDate('2026-03-01');
+
+        // Assert
+        expect(date.getFullYear()).toBe(2026);
+        expect(date.getMonth()).toBe(2);
+        expect(date.getDate()).toBe(1);
+    });
+
+    it('parses date/time values and rejects invalid ones', () => {
+        // Assert
+        expect(parseDate('2026-03-01T10:15:00.000Z').getTime()).toBe(
+            Date.UTC(2026, 2, 1, 10, 15)
+        );
+        expect(parseDate('not a date')).toBeNull();
+        expect(parseDate(null)).toBeNull();
+    });
+
+    it('formats dates', () => {
+        // Assert
+        expect(formatDate('2026-03-01')).toBe('Mar 1, 2026');
+        expect(formatDate(undefined)).toBe('N/A');
+        expect(formatDate('', '')).toBe('');
+    });
+
+    it('formats date/times', () => {
+        // Arrange
+        const value = new Date(2026, 2, 1, 9, 30);
+
+        // Act
+        const formatted = formatDateTime(value);
+
+        // Assert
+        expect(formatted).toContain('Mar 1, 2026');
+        expect(formatted).toContain('09:30');
+        expect(formatDateTime(null)).toBe('N/A');
+    });
+});
+
+describe('Group Buy Core: deadlines', () => {
+    const HOUR = 60 * 60 * 1000;
+    const now = Date.UTC(2026, 2, 1, 12, 0, 0);
+
+    it('badges proposals starting or closing soon', () => {
+        // Arrange
+        const proposal = (status, startHours, endHours) => ({
+            Status__c: status,
+            Start_Date__c: new Date(now + startHours * HOUR).toISOString(),
+            End_Date__c: new Date(now + endHours * HOUR).toISOString()
+        });
+
+        // Act
+        const starting = getDeadlineBadges(proposal(PROPOSAL_STATUS.APPROVED, 10, 200), now);
+        const closing = getDeadlineBadges(proposal(PROPOSAL_STATUS.ACTIVE, -100, 20), now);
+
+        // Assert
+        expect(starting.map(badge => badge.label)).toEqual(['Starting soon']);
+        expect(closing.map(badge => badge.label)).toEqual(['Closing soon']);
+        expect(getDeadlineBadges(proposal(PROPOSAL_STATUS.ACTIVE, -100, 20), now, 12)).toEqual([]);
+        expect(getDeadlineBadges(proposal(PROPOSAL_STATUS.ACTIVE, -100, 200), now)).toEqual([]);
+        expect(getDeadlineBadges(proposal(PROPOSAL_STATUS.EXPIRED, -100, -1), now)).toEqual([]);
+        expect(getDeadlineBadges(proposal(PROPOSAL_STATUS.CLOSED, -100, 20), now)).toEqual([]);
+    });
+});
+
+describe('Group Buy Core: discounts', () => {
+    [
+        [10, '10%'],
+        [12.5, '12.5%'],
+        [1, '1%'],
+        [100, '100%'],
+        ['15', '15%'],
+        [null, '0%'],
+        [undefined, '0%']
+    ].forEach(([percent, expected]) => {
+        it(`formats discount percent ${percent} as "${expected}"`, () => {
+            // Act
+            const formatted = formatDiscountPercent(percent);
+
+            // Assert
+            expect(formatted).toBe(expected);
+        });
+    });
+
+    it('formats a discount badge label', () => {
+        // Assert
+        expect(formatDiscount(10)).toBe('10% OFF');
+        expect(formatDiscount(0)).toBe('0% OFF');
+    });
+
+    it('applies a whole-number discount percent to a price', () => {
+        // Assert
+        expect(applyDiscount(200, 10)).toBeCloseTo(180);
+        expect(applyDiscount(200, 1)).toBeCloseTo(198);
+        expect(applyDiscount(200, 100)).toBeCloseTo(0);
+        expect(applyDiscount(200, null)).toBe(200);
+        expect(applyDiscount(null, 10)).toBe(0);
+    });
+
+    it('lists the tier discount types', () => {
+        // Act
+        const values = getDiscountTypeOptions().map(option => option.value);
+
+        // Assert
+        expect(values).toEqual([DISCOUNT_TYPE.PERCENT, DISCOUNT_TYPE.AMOUNT_OFF, DISCOUNT_TYPE.PRICE_POINT]);
+    });
+
+    [
+        [{ Discount_Type__c: DISCOUNT_TYPE.PERCENT, Discount__c: 10 }, 90],
+        [{ Discount__c: 25 }, 75],
+        [{ Discount_Type__c: DISCOUNT_TYPE.AMOUNT_OFF, Amount_Off__c: 15 }, 85],
+        [{ Discount_Type__c: DISCOUNT_TYPE.AMOUNT_OFF, Amount_Off__c: 150 }, 0],
+        [{ Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT, Tier_Price__c: 79.99 }, 79.99],
+        [{ Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT, Tier_Price__c: null }, 100],
+        [null, 100]
+    ].forEach(([tier, expected]) => {
+        it(`prices tier ${JSON.stringify(tier)} at ${expected} from a base price of 100`, () => {
+            // Act
+            const unitPrice = getTierUnitPrice(tier, 100);
+
+            // Assert
+            expect(unitPrice).toBeCloseTo(expected);
+        });
+    });
+
+    it('formats a tier in the terms it was entered in', () => {
+        // Assert
+        expect(formatTierDiscount({ Discount_Type__c: DISCOUNT_TYPE.PERCENT, Discount__c: 10 })).toBe('10% OFF');
+        expect(formatTierDiscount({ Discount_Type__c: DISCOUNT_TYPE.AMOUNT_OFF, Amount_Off__c: 5 })).toBe('$5.00 OFF per unit');
+        expect(formatTierDiscount({ Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT, Tier_Price__c: 80 })).toBe('$80.00 per unit');
+        expect(formatTierDiscount(null)).toBe('0% OFF');
+    });
+
+    it('uses the locked price of a settled order', () => {
+        // Arrange
+        const order = { Unit_Price__c: 100, Final_Unit_Price__c: 85 };
+        const proposal = { Base_Price__c: 100, Final_Price__c: 90, Current_Discount_Percent__c: 10 };
+
+        // Act
+        const pricing = getOrderPricing(order, proposal);
+
+        // Assert
+        expect(pricing).toEqual({ basePrice: 100, unitPrice: 85, isSettled: true, isDiscounted: true });
+    });
+
+    it('uses the final price of a settled proposal', () => {
+        // Arrange
+        const order = { Unit_Price__c: 100 };
+        const proposal = { Base_Price__c: 100, Final_Price__c: 90, Current_Discount_Percent__c: 10 };
+
+        // Act
+        const pricing = getOrderPricing(order, proposal);
+
+        // Assert
+        expect(pricing.unitPrice).toBe(90);
+        expect(pricing.isSettled).toBe(true);
+    });
+
+    it('estimates the price from the current discount before settlement', () => {
+        // Arrange
+        const order = {};
+        const proposal = { Base_Price__c: 200, Current_Discount_Percent__c: 15 };
+
+        // Act
+        const pricing = getOrderPricing(order, proposal);
+
+        // Assert
+        expect(pricing.basePrice).toBe(200);
+        expect(pricing.unitPrice).toBeCloseTo(170);
+        expect(pricing.isSettled).toBe(false);
+        expect(pricing.isDiscounted).toBe(true);
+    });
+
+    it('is not discounted without a current discount', () => {
+        // Act
+        const pricing = getOrderPricing({ Unit_Price__c: 50 }, { Base_Price__c: 50 });
+
+        // Assert
+        expect(pricing.unitPrice).toBe(50);
+        expect(pricing.isDiscounted).toBe(false);
+    });
+});
+
+describe('Group Buy Core: tier analysis', () => {
+    const proposal = { Min_Quota__c: 100, Max_Quota__c: 500, Base_Price__c: 200 };
+    const tier = (min, max, discount) => ({
+        Min_Quota_For_Discount__c: min,
+        Max_Quota_Discount__c: max,
+        Discount_Type__c: DISCOUNT_TYPE.PERCENT,
+        Discount__c: discount
+    });
+    const typesOf = issues => issues.map(issue => issue.type);
+
+    it('finds no issue in contiguous tiers over the quota range', () => {
+        // Act
+        const issues = analyzeTiers([tier(300, 500, 15), tier(100, 299, 10)], proposal);
+
+        // Assert
+        expect(issues).toEqual([]);
+    });
+
+    it('flags gaps and tiers outside of the quota range as errors', () => {
+        // Arrange
+        const tiers = [tier(50, 199, 5), tier(250, 600, 10)];
+
+        // Act
+        const issues = analyzeTiers(tiers, proposal);
+
+        // Assert
+        expect(typesOf(issues)).toEqual([
+            TIER_ISSUE.BELOW_MIN_QUOTA,
+            TIER_ISSUE.ABOVE_MAX_QUOTA,
+            TIER_ISSUE.GAP
+        ]);
+        expect(issues.every(issue => issue.severity === TIER_ISSUE_SEVERITY.ERROR)).toBe(true);
+        expect(issues[2]).toEqual({
+            type: TIER_ISSUE.GAP,
+            severity: TIER_ISSUE_SEVERITY.ERROR,
+            message: 'Quantities 200-249 are not covered by any tier.',
+            tierIndex: 1
+        });
+    });
+
+    it('requires discounts to increase with quantity across tier types', () => {
+        // Arrange
+        const pricePoint = {
+            Min_Quota_For_Discount__c: 300,
+            Max_Quota_Discount__c: 500,
+            Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT,
+            Tier_Price__c: 190
+        };
+
+        // Act
+        const issues = analyzeTiers([tier(100, 299, 10), pricePoint], proposal);
+
+        // Assert
+        expect(typesOf(issues)).toEqual([TIER_ISSUE.NOT_INCREASING]);
+        expect(issues[0].message).toBe('Tier 300-500 must give a bigger discount than tier 100-299.');
+    });
+
+    it('flags discounts beyond the margin', () => {
+        // Act
+        const issues = analyzeTiers(
+            [tier(100, 299, 10), tier(300, 500, MAX_TIER_DISCOUNT_PERCENT + 1)],
+            proposal
+        );
+
+        // Assert
+        expect(typesOf(issues)).toEqual([TIER_ISSUE.MARGIN]);
+    });
+
+    it('warns about quantities no tier covers', () => {
+        // Act
+        const issues = analyzeTiers([tier(150, 400, 10)], proposal);
+
+        // Assert
+        expect(typesOf(issues)).toEqual([TIER_ISSUE.UNCOVERED_START, TIER_ISSUE.UNCOVERED_END]);
+        expect(issues.every(issue => issue.severity === TIER_ISSUE_SEVERITY.WARNING)).toBe(true);
+        expect(issues[0].message).toBe('Quantities 100-149 get no discount.');
+    });
+
+    it('skips incomplete tiers and currency tiers without a base price', () => {
+        // Arrange
+        const amountOff = {
+            Min_Quota_For_Discount__c: 300,
+            Max_Quota_Discount__c: 500,
+            Discount_Type__c: DISCOUNT_TYPE.AMOUNT_OFF,
+            Amount_Off__c: 5
+        };
+
+        // Act
+        const issues = analyzeTiers(
+            [tier(100, 299, 10), amountOff, tier(null, 50, 1)],
+            { Min_Quota__c: 100, Max_Quota__c: 500 }
+        );
+
+        // Assert
+        expect(issues).toEqual([]);
+    });
+});
+
+describe('Group Buy Core: rich text', () => {
+    it('keeps the formatting of the description editor', () => {
+        // Arrange
+        const html = '<h2>Offer</h2><p class="ql-align-center"><b>Bold</b> <span style="color: rgb(255, 0, 0);">red</span></p>'
+            + '<ul><li>One</li></ul><a href="https://example.com" target="_blank">Link</a>';
+
+        // Act
+        const result = sanitizeRichText(html);
+
+        // Assert
+        expect(result).toBe('<h2>Offer</h2><p class="ql-align-center"><b>Bold</b> <span style="color: rgb(255, 0, 0)">red</span></p>'
+            + '<ul><li>One</li></ul><a href="https://example.com" target="_blank" rel="noopener noreferrer">Link</a>');
+    });
+
+    it('removes scripts, event handlers and comments', () => {
+        // Assert
+        expect(sanitizeRichText('<p onclick="steal()">Hi<script>alert(1)</script></p><!-- note -->')).toBe('<p>Hi</p>');
+        expect(sanitizeRichText('<img src=x onerror=alert(1)><iframe src="https://evil.test"></iframe>Text')).toBe('Text');
+    });
+
+    it('drops unsafe links and escapes stray brackets', () => {
+        // Assert
+        expect(sanitizeRichText('<a href="javascript:alert(1)">Click</a>')).toBe('<a>Click</a>');
+        expect(sanitizeRichText('1 < 2 <script src=x')).toBe('1 &lt; 2 &lt;script src=x');
+    });
+
+    it('returns an empty string without a description', () => {
+        // Assert
+        expect(sanitizeRichText(null)).toBe('');
+        expect(sanitizeRichText('')).toBe('');
+    });
+});
+
+describe('Group Buy Core: reduceErrors', () => {
+    it('returns the fallback when there is no message', () => {
+        // Assert
+        expect(reduceErrors(undefined)).toBe(DEFAULT_ERROR_MESSAGE);
+        expect(reduceErrors({}, 'Failed to load')).toBe('Failed to load');
+        expect(reduceErrors([])).toBe(DEFAULT_ERROR_MESSAGE);
+    });
+
+    it('reduces string and JS errors', () => {
+        // Assert
+        expect(reduceErrors('Plain message')).toBe('Plain message');
+        expect(reduceErrors(new Error('JS error'))).toBe('JS error');
+    });
+
+    it('reduces Apex errors', () => {
+        // Arrange
+        const error = { body: { message: 'Proposal is not active' } };
+
+        // Act
+        const message = reduceErrors(error);
+
+        // Assert
+        expect(message).toBe('Proposal is not active');
+    });
+
+    it('reduces UI API read errors', () => {
+        // Arrange
+        const error = { body: [{ message: 'First' }, { message: 'Second' }] };
+
+        // Act
+        const message = reduceErrors(error);
+
+        // Assert
+        expect(message).toBe('First, Second');
+    });
+
+    it('reduces page and field errors', () => {
+        // Arrange
+        const error = {
+            body: {
+                pageErrors: [{ message: 'Page error' }],
+                fieldErrors: {
+                    Min_Quota__c: [{ message: 'Min quota is required' }]
+                },
+                output: {
+                    errors: [{ message: 'Output error' }],
+                    fieldErrors: {
+                        End_Date__c: [{ message: 'End date is invalid' }]
+                    }
+                }
+            }
+        };
+
+        // Act
+        const message = reduceErrors(error);
+
+        // Assert
+        expect(message).toBe(
+            'Page error, Min quota is required, Output error, End date is invalid'
+        );
+    });
+
+    it('reduces a list of mixed errors', () => {
+        // Arrange
+        const errors = [
+            'String error',
+            { body: { message: 'Apex error' } },
+            new Error('JS error'),
+            {}
+        ];
+
+        // Act
+        const message = reduceErrors(errors);
+
+        // Assert
+        expect(message).toBe('String error, Apex error, JS error');
+    });
+});
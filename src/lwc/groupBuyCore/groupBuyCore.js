@@ -0,0 +1,1005 @@
+/**
+ * A internal module with the helpers shared by all group buy components:
+ * proposal and conditional order status metadata, status transitions, approval routing,
+ * per-account quantity limits, proposal validation, card payments, discount tiers, tier analysis,
+ * order pricing, rich text sanitization, currency/date formatting, deadline badges and
+ * Apex error reduction.
+ */
+import LANG from '@salesforce/i18n/lang';
+import CURRENCY from '@salesforce/i18n/currency';
+
+export const DEFAULT_ERROR_MESSAGE = 'An unexpected error occurred';
+// Displayed in place of empty values
+export const EMPTY_VALUE = 'N/A';
+const DATE_ONLY_REGEXP = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Group_Buy_Proposal__c.Status__c picklist values
+ */
+export const PROPOSAL_STATUS = Object.freeze({
+    CREATED: 'Created',
+    PENDING_APPROVAL: 'Pending Approval',
+    APPROVED: 'Approved',
+    ACTIVE: 'Active',
+    REJECTED: 'Rejected',
+    EXPIRED: 'Expired',
+    CLOSED: 'Closed'
+});
+
+/**
+ * Group_Buy_Proposal__c.Type__c picklist values
+ */
+export const PROPOSAL_TYPE = Object.freeze({
+    IMMEDIATE_PAYMENT: 'Immediate Payment',
+    PAYMENT_AFTER_REACH_QUOTA: 'Payment After Reach Quota'
+});
+
+/**
+ * Conditional_Order__c.Status__c picklist values
+ */
+export const ORDER_STATUS = Object.freeze({
+    PENDING: 'Pending',
+    CONFIRMED: 'Confirmed',
+    CANCELLED: 'Cancelled',
+    CONVERTED: 'Converted to Order',
+    WAITLISTED: 'Waitlisted'
+});
+
+/**
+ * Group_Proposal_Discount__c.Discount_Type__c picklist values
+ */
+export const DISCOUNT_TYPE = Object.freeze({
+    PERCENT: 'Percent',
+    AMOUNT_OFF: 'Amount Off',
+    PRICE_POINT: 'Price Point'
+});
+
+/**
+ * CaseController.ApprovalRouting.caseType values
+ */
+export const APPROVAL_CASE_TYPE = Object.freeze({
+    MERCHANDISER: 'Merchandiser',
+    B2B_BUYER: 'B2B_Buyer'
+});
+
+const APPROVAL_CASE_TYPE_LABELS = {
+    [APPROVAL_CASE_TYPE.MERCHANDISER]: 'Merchandiser',
+    [APPROVAL_CASE_TYPE.B2B_BUYER]: 'B2B Buyer'
+};
+
+/**
+ * GroupProposalController.ConditionalOrderResult.resultCode values
+ */
+export const ORDER_RESULT_CODE = Object.freeze({
+    SUCCESS: 'SUCCESS',
+    QUOTA_EXHAUSTED: 'QUOTA_EXHAUSTED',
+    PAYMENT_DECLINED: 'PAYMENT_DECLINED'
+});
+
+// Per-status behaviour of a proposal, in picklist order.
+// cssKey is the suffix of the status-specific CSS class each component styles.
+const PROPOSAL_STATUS_META = {
+    [PROPOSAL_STATUS.CREATED]: {
+        cssKey: 'created',
+        isEditable: true,
+        isDeletable: true,
+        canSubmitForApproval: true
+    },
+    [PROPOSAL_STATUS.PENDING_APPROVAL]: {
+        cssKey: 'pending',
+        isEditable: true
+    },
+    [PROPOSAL_STATUS.APPROVED]: {
+        cssKey: 'approved'
+    },
+    [PROPOSAL_STATUS.ACTIVE]: {
+        cssKey: 'active',
+        acceptsOrders: true
+    },
+    [PROPOSAL_STATUS.REJECTED]: {
+        cssKey: 'rejected',
+        isEditable: true,
+        isDeletable: true
+    },
+    [PROPOSAL_STATUS.EXPIRED]: {
+        cssKey: 'expired',
+        isFinal: true,
+        isRelaunchable: true
+    },
+    [PROPOSAL_STATUS.CLOSED]: {
+        cssKey: 'closed',
+        isFinal: true
+    }
+};
+
+// Mirrors the VR_Proposal_Status_Transition validation rule on Group_Buy_Proposal__c
+const PROPOSAL_STATUS_TRANSITIONS = {
+    [PROPOSAL_STATUS.CREATED]: [PROPOSAL_STATUS.PENDING_APPROVAL],
+    [PROPOSAL_STATUS.PENDING_APPROVAL]: [
+        PROPOSAL_STATUS.APPROVED,
+        PROPOSAL_STATUS.REJECTED
+    ],
+    [PROPOSAL_STATUS.APPROVED]: [PROPOSAL_STATUS.ACTIVE],
+    [PROPOSAL_STATUS.ACTIVE]: [PROPOSAL_STATUS.CLOSED, PROPOSAL_STATUS.EXPIRED],
+    [PROPOSAL_STATUS.REJECTED]: [PROPOSAL_STATUS.CREATED],
+    [PROPOSAL_STATUS.EXPIRED]: [],
+    [PROPOSAL_STATUS.CLOSED]: []
+};
+
+const ORDER_STATUS_META = {
+    [ORDER_STATUS.PENDING]: { cssKey: 'pending', isModifiable: true },
+    [ORDER_STATUS.CONFIRMED]: { cssKey: 'confirmed' },
+    [ORDER_STATUS.CANCELLED]: { cssKey: 'cancelled' },
+    [ORDER_STATUS.CONVERTED]: { cssKey: 'converted' },
+    [ORDER_STATUS.WAITLISTED]: { cssKey: 'waitlisted', isModifiable: true }
+};
+
+// ===============================
+// PROPOSAL STATUS
+// ===============================
+
+/**
+ * Returns the metadata of a proposal status
+ *
+ * @param {string} status Group_Buy_Proposal__c.Status__c value
+ * @returns {Object} the status metadata, or an empty object for an unknown status
+ */
+export function getProposalStatusMeta(status) {
+    return PROPOSAL_STATUS_META[status] || {};
+}
+
+/**
+ * Builds the picklist options of all known proposal statuses, in workflow order
+ *
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getProposalStatusOptions() {
+    return Object.keys(PROPOSAL_STATUS_META).map((status) => ({
+        label: status,
+        value: status
+    }));
+}
+
+/**
+ * Builds the CSS class list for a proposal status badge.
+ *
+ * @param {string} status Group_Buy_Proposal__c.Status__c value
+ * @param {Object} [options]
+ * @param {string} [options.base='status-badge'] the class shared by all badges
+ * @param {string} [options.prefix='status'] the prefix of the status-specific class
+ * @returns {string} e.g. "status-badge status-pending" for "Pending Approval",
+ *                   or "status-badge status-default" for an unknown status
+ */
+export function getProposalStatusClass(
+    status,
+    { base = 'status-badge', prefix = 'status' } = {}
+) {
+    const cssKey = getProposalStatusMeta(status).cssKey || 'default';
+    return `${base} ${prefix}-${cssKey}`;
+}
+
+/**
+ * Returns the statuses a proposal may move to from its current status
+ *
+ * @param {string} status the current status
+ * @returns {string[]}
+ */
+export function getNextProposalStatuses(status) {
+    return [...(PROPOSAL_STATUS_TRANSITIONS[status] || [])];
+}
+
+/**
+ * Checks whether a proposal may move from one status to another
+ *
+ * @param {string} fromStatus the current status
+ * @param {string} toStatus the requested status
+ * @returns {Boolean}
+ */
+export function canTransitionProposal(fromStatus, toStatus) {
+    return getNextProposalStatuses(fromStatus).includes(toStatus);
+}
+
+export function isProposalEditable(status) {
+    return !!getProposalStatusMeta(status).isEditable;
+}
+
+export function isProposalDeletable(status) {
+    return !!getProposalStatusMeta(status).isDeletable;
+}
+
+export function canSubmitProposalForApproval(status) {
+    return !!getProposalStatusMeta(status).canSubmitForApproval;
+}
+
+export function isProposalAcceptingOrders(status) {
+    return !!getProposalStatusMeta(status).acceptsOrders;
+}
+
+/**
+ * Any proposal can be cloned; expired proposals are relaunched, with their participants invited by default
+ *
+ * @param {string} status Group_Buy_Proposal__c.Status__c value
+ * @returns {Boolean}
+ */
+export function isProposalRelaunchable(status) {
+    return !!getProposalStatusMeta(status).isRelaunchable;
+}
+
+/**
+ * Describes who reviews an approval request, e.g. "Merchandiser Proposal Review (Merchandiser request)"
+ *
+ * @param {Object} routing CaseController.ApprovalRouting with caseType and reviewerName
+ * @returns {string} an empty string when the routing is unknown
+ */
+export function formatApprovalReviewer(routing) {
+    if (!routing || !routing.reviewerName) {
+        return '';
+    }
+    const typeLabel = APPROVAL_CASE_TYPE_LABELS[routing.caseType];
+    return typeLabel ? `${routing.reviewerName} (${typeLabel} request)` : routing.reviewerName;
+}
+
+// ===============================
+// ORDER STATUS
+// ===============================
+
+/**
+ * Builds the CSS class list for a conditional order status badge
+ *
+ * @param {string} status Conditional_Order__c.Status__c value
+ * @param {string} [base='status-badge'] the class shared by all badges
+ * @returns {string} e.g. "status-badge status-confirmed"
+ */
+export function getOrderStatusClass(status, base = 'status-badge') {
+    const meta = ORDER_STATUS_META[status];
+    return meta ? `${base} status-${meta.cssKey}` : base;
+}
+
+/**
+ * Checks whether the buyer may still change or cancel an order
+ *
+ * @param {string} status Conditional_Order__c.Status__c value
+ * @returns {Boolean}
+ */
+export function isOrderModifiable(status) {
+    return !!(ORDER_STATUS_META[status] && ORDER_STATUS_META[status].isModifiable);
+}
+
+/**
+ * Formats the waitlist position of an order, e.g. 3 -> "#3 in line"
+ *
+ * @param {number} position the 1-based position returned by Apex
+ * @returns {string} an empty string when the order is not waitlisted
+ */
+export function formatWaitlistPosition(position) {
+    return position ? `#${position} in line` : '';
+}
+
+// ===============================
+// PER-ACCOUNT LIMITS
+// ===============================
+
+function toLimit(value) {
+    return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+/**
+ * Checks the per-account quantity limits entered on a proposal.
+ * Mirrors the VR_Proposal_Account_Limits_Valid validation rule.
+ *
+ * @param {Object} proposal Group_Buy_Proposal__c values being edited
+ * @returns {string|null} the error message, or null when the limits are valid or blank
+ */
+export function validateAccountLimits(proposal) {
+    const min = toLimit(proposal.Min_Quantity_Per_Account__c);
+    const max = toLimit(proposal.Max_Quantity_Per_Account__c);
+    const maxQuota = toLimit(proposal.Max_Quota__c);
+
+    if ((min !== null && min < 1) || (max !== null && max < 1)) {
+        return 'Per-account quantities must be at least 1';
+    }
+    if (min !== null && max !== null && min > max) {
+        return 'Min Quantity Per Account cannot exceed Max Quantity Per Account';
+    }
+    if (max !== null && maxQuota !== null && max > maxQuota) {
+        return 'Max Quantity Per Account cannot exceed Max Quota';
+    }
+    return null;
+}
+
+/**
+ * Describes the per-account limits of a proposal for buyers, e.g. "2 to 20 units per buyer"
+ *
+ * @param {Object} proposal Group_Buy_Proposal__c record
+ * @returns {string} an empty string when the proposal has no per-account limits
+ */
+export function formatAccountLimits(proposal) {
+    const min = toLimit(proposal && proposal.Min_Quantity_Per_Account__c);
+    const max = toLimit(proposal && proposal.Max_Quantity_Per_Account__c);
+    if (min && max) return `${min} to ${max} units per buyer`;
+    if (min) return `At least ${min} units per buyer`;
+    return max ? `Up to ${max} units per buyer` : '';
+}
+
+/**
+ * Returns the quantity range a buyer may pick for their order.
+ *
+ * @param {Object} proposal Group_Buy_Proposal__c record with the per-account limits
+ * @param {number} available the quota left for the order (its current quantity included when modifying)
+ * @returns {{min: number, max: number}} max is never below min, so steppers stay usable
+ */
+export function getOrderQuantityRange(proposal, available) {
+    const min = toLimit(proposal && proposal.Min_Quantity_Per_Account__c) || 1;
+    const perAccountMax = toLimit(proposal && proposal.Max_Quantity_Per_Account__c);
+    const max = perAccountMax !== null ? Math.min(available, perAccountMax) : available;
+    return { min, max: Math.max(min, max) };
+}
+
+// ===============================
+// PROPOSAL VALIDATION
+// ===============================
+
+/**
+ * Fields a new proposal needs, as checked by groupBuyProposalCreator
+ */
+export const PROPOSAL_REQUIRED_FIELDS = Object.freeze([
+    { field: 'Name', label: 'Proposal Name' },
+    { field: 'Status__c', label: 'Status' },
+    { field: 'Type__c', label: 'Type' },
+    { field: 'Min_Quota__c', label: 'Min Quota' },
+    { field: 'Max_Quota__c', label: 'Max Quota' },
+    { field: 'Start_Date__c', label: 'Start Date' },
+    { field: 'End_Date__c', label: 'End Date' },
+    { field: 'Approximate_Deliver_Start_Date__c', label: 'Delivery Start Date' },
+    { field: 'Description__c', label: 'Description' }
+]);
+
+/**
+ * Checks a new proposal before it is created
+ *
+ * @param {Object} proposal Group_Buy_Proposal__c values being created
+ * @param {boolean} hasProduct whether a product is selected
+ * @returns {Array<string>} the error messages, most specific first: quotas, per-account limits,
+ *          dates, then one message listing the missing fields; empty when the proposal is valid
+ */
+export function validateProposal(proposal, hasProduct) {
+    const errors = [];
+
+    if (proposal.Min_Quota__c && proposal.Max_Quota__c &&
+        Number(proposal.Min_Quota__c) > Number(proposal.Max_Quota__c)) {
+        errors.push('Min Quota cannot be greater than Max Quota');
+    }
+
+    const accountLimitsError = validateAccountLimits(proposal);
+    if (accountLimitsError) {
+        errors.push(accountLimitsError);
+    }
+
+    if (proposal.Start_Date__c && proposal.End_Date__c &&
+        new Date(proposal.Start_Date__c) >= new Date(proposal.End_Date__c)) {
+        errors.push('End Date must be after Start Date');
+    }
+
+    const missingFields = PROPOSAL_REQUIRED_FIELDS
+        .filter(({ field }) => {
+            const value = proposal[field];
+            return isBlank(value) || (typeof value === 'string' && value.trim() === '');
+        })
+        .map(({ label }) => label);
+    if (!hasProduct) {
+        missingFields.push('Product (select or create a product)');
+    }
+    if (missingFields.length > 0) {
+        errors.push(`Please fill in all required fields: ${missingFields.join(', ')}`);
+    }
+
+    return errors;
+}
+
+// ===============================
+// PAYMENTS
+// ===============================
+
+// Fields of c-card-payment-method sent to GroupProposalController.tokenizePaymentMethod
+const CARD_FIELDS = ['cardHolderName', 'cardNumber', 'cvv', 'expiryMonth', 'expiryYear', 'cardType'];
+
+/**
+ * Reads the card entered in a c-card-payment-method component
+ *
+ * @param {Object} cardComponent the c-card-payment-method element
+ * @returns {Object} the paymentInfo map expected by Apex
+ */
+export function getCardPaymentInfo(cardComponent) {
+    const paymentInfo = {};
+    CARD_FIELDS.forEach((field) => {
+        paymentInfo[field] = cardComponent[field];
+    });
+    return paymentInfo;
+}
+
+/**
+ * Tells the buyer when their card is charged, depending on the proposal type
+ *
+ * @param {string} type Group_Buy_Proposal__c.Type__c value
+ * @param {Boolean} [isWaitlist=false] joining the waitlist, where the card is kept until the order is placed
+ * @returns {string}
+ */
+export function getPaymentNotice(type, isWaitlist = false) {
+    if (type !== PROPOSAL_TYPE.IMMEDIATE_PAYMENT) {
+        return 'Your card is only authorized if the group buy reaches its minimum quota.';
+    }
+    return isWaitlist
+        ? 'Your card is authorized when your order is placed off the waitlist. The hold is released if the group buy does not reach its minimum.'
+        : 'Your card is authorized when you join. The hold is released if the group buy does not reach its minimum.';
+}
+
+// ===============================
+// FORMATTING
+// ===============================
+
+/**
+ * Formats an amount in the user's locale.
+ *
+ * @param {number|string} value the amount
+ * @param {string} [currencyCode] an ISO 4217 currency code, defaults to the user's currency
+ * @param {string} [fallback='N/A'] returned when the value or currency code is invalid
+ * @returns {string}
+ */
+export function formatCurrency(value, currencyCode = CURRENCY, fallback = EMPTY_VALUE) {
+    if (value === null || value === undefined || value === '' || isNaN(Number(value))) {
+        return fallback;
+    }
+    try {
+        return new Intl.NumberFormat(LANG, {
+            style: 'currency',
+            currency: currencyCode || CURRENCY
+        }).format(Number(value));
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Parses a Date, DateTime or timestamp value returned by Apex.
+ * Date-only strings ("2026-03-01") are read as a local calendar date, so
+ * they are not shifted to the previous day in time zones west of UTC.
+ *
+ * @param {string|number|Date} value
+ * @returns {Date|null} null when the value is empty or not a valid date
+ */
+export function parseDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    let date;
+    const dateOnly = typeof value === 'string' && DATE_ONLY_REGEXP.exec(value);
+    if (dateOnly) {
+        date = new Date(
+            Number(dateOnly[1]),
+            Number(dateOnly[2]) - 1,
+            Number(dateOnly[3])
+        );
+    } else {
+        date = new Date(value);
+    }
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a date as the local YYYY-MM-DD, the value of a lightning-input of type date
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toIsoDate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Formats a date as e.g. "Mar 1, 2026" in the user's locale
+ *
+ * @param {string|number|Date} value
+ * @param {string} [fallback='N/A'] returned when the value is empty or invalid
+ * @returns {string}
+ */
+export function formatDate(value, fallback = EMPTY_VALUE) {
+    const date = parseDate(value);
+    if (!date) {
+        return fallback;
+    }
+    return date.toLocaleDateString(LANG, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Formats a date and time as e.g. "Mar 1, 2026, 09:30 AM" in the user's locale
+ *
+ * @param {string|number|Date} value
+ * @param {string} [fallback='N/A'] returned when the value is empty or invalid
+ * @returns {string}
+ */
+export function formatDateTime(value, fallback = EMPTY_VALUE) {
+    const date = parseDate(value);
+    if (!date) {
+        return fallback;
+    }
+    return date.toLocaleString(LANG, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ===============================
+// DEADLINES
+// ===============================
+
+// Milliseconds in an hour
+export const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hours before Start_Date__c/End_Date__c at which a proposal is starting/closing soon
+ */
+export const DEFAULT_SOON_HOURS = 48;
+
+/**
+ * "Starting soon" and "Closing soon" badges of a proposal that is not closed or expired
+ *
+ * @param {object} proposal Group_Buy_Proposal__c with Status__c, Start_Date__c and End_Date__c
+ * @param {number} [now] timestamp, defaults to the current time
+ * @param {number} [soonHours=48] hours before the start or end at which a badge is shown
+ * @returns {Array<{key: string, label: string, cssClass: string}>}
+ */
+export function getDeadlineBadges(proposal, now = Date.now(), soonHours = DEFAULT_SOON_HOURS) {
+    if (!proposal || getProposalStatusMeta(proposal.Status__c).isFinal) {
+        return [];
+    }
+    const isSoon = date => !!date && date.getTime() > now && date.getTime() - now <= soonHours * HOUR_MS;
+    const start = parseDate(proposal.Start_Date__c);
+    const end = parseDate(proposal.End_Date__c);
+
+    if (isSoon(start)) {
+        return [{ key: 'starting', label: 'Starting soon', cssClass: 'deadline-badge deadline-starting' }];
+    }
+    if ((!start || start.getTime() <= now) && isSoon(end)) {
+        return [{ key: 'closing', label: 'Closing soon', cssClass: 'deadline-badge deadline-closing' }];
+    }
+    return [];
+}
+
+// ===============================
+// DISCOUNTS
+// ===============================
+// Discount percents are whole numbers everywhere outside of formulas: 10 means 10% OFF.
+// This covers Group_Proposal_Discount__c.Discount__c, Current_Discount_Percent__c
+// and the currentDiscount/maxDiscount values returned by the Apex controllers.
+
+function toDiscountPercent(percent) {
+    const value = Number(percent);
+    return isNaN(value) ? 0 : value;
+}
+
+/**
+ * Formats a whole-number discount percent, e.g. 12.5 -> "12.5%"
+ *
+ * @param {number|string} percent
+ * @returns {string} "0%" for an empty or invalid value
+ */
+export function formatDiscountPercent(percent) {
+    return new Intl.NumberFormat(LANG, {
+        style: 'percent',
+        maximumFractionDigits: 2
+    }).format(toDiscountPercent(percent) / 100);
+}
+
+/**
+ * Formats a whole-number discount percent as a badge label, e.g. 10 -> "10% OFF"
+ *
+ * @param {number|string} percent
+ * @returns {string}
+ */
+export function formatDiscount(percent) {
+    return `${formatDiscountPercent(percent)} OFF`;
+}
+
+/**
+ * Applies a whole-number discount percent to a price
+ *
+ * @param {number} price
+ * @param {number|string} percent e.g. 10 for 10% OFF
+ * @returns {number} the discounted price
+ */
+export function applyDiscount(price, percent) {
+    return (Number(price) || 0) * (1 - toDiscountPercent(percent) / 100);
+}
+
+/**
+ * Builds the picklist options of the tier discount types
+ *
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getDiscountTypeOptions() {
+    return [
+        { label: 'Percent off', value: DISCOUNT_TYPE.PERCENT },
+        { label: 'Amount off per unit', value: DISCOUNT_TYPE.AMOUNT_OFF },
+        { label: 'Tier unit price', value: DISCOUNT_TYPE.PRICE_POINT }
+    ];
+}
+
+/**
+ * Unit price of a discount tier, as ProposalSettlementService.getTierUnitPrice settles it
+ *
+ * @param {object} tier Group_Proposal_Discount__c with Discount_Type__c, Discount__c, Amount_Off__c and Tier_Price__c
+ * @param {number} basePrice the proposal Base_Price__c
+ * @returns {number}
+ */
+export function getTierUnitPrice(tier, basePrice) {
+    const price = Number(basePrice) || 0;
+    if (!tier) return price;
+
+    switch (tier.Discount_Type__c) {
+        case DISCOUNT_TYPE.AMOUNT_OFF:
+            return Math.max(0, price - (Number(tier.Amount_Off__c) || 0));
+        case DISCOUNT_TYPE.PRICE_POINT:
+            return isBlank(tier.Tier_Price__c) ? price : Number(tier.Tier_Price__c);
+        default:
+            return applyDiscount(price, tier.Discount__c);
+    }
+}
+
+/**
+ * Formats a discount tier as a badge label, in the terms the tier was entered in:
+ * "10% OFF", "$5.00 OFF per unit" or "$80.00 per unit"
+ *
+ * @param {object} tier Group_Proposal_Discount__c with Discount_Type__c, Discount__c, Amount_Off__c and Tier_Price__c
+ * @returns {string}
+ */
+export function formatTierDiscount(tier) {
+    if (!tier) return formatDiscount(0);
+
+    switch (tier.Discount_Type__c) {
+        case DISCOUNT_TYPE.AMOUNT_OFF:
+            return `${formatCurrency(tier.Amount_Off__c || 0)} OFF per unit`;
+        case DISCOUNT_TYPE.PRICE_POINT:
+            return `${formatCurrency(tier.Tier_Price__c)} per unit`;
+        default:
+            return formatDiscount(tier.Discount__c);
+    }
+}
+
+/**
+ * Whether a field value is empty: null, undefined or an empty string
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+export function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Unit price of a conditional order. The price is settled once the proposal closes
+ * (Final_Unit_Price__c on the order, Final_Price__c on the proposal) and estimated
+ * from the current discount tier before that.
+ *
+ * @param {object} order Conditional_Order__c with Unit_Price__c and Final_Unit_Price__c
+ * @param {object} proposal Group_Buy_Proposal__c with Base_Price__c, Final_Price__c and Current_Discount_Percent__c
+ * @returns {{basePrice: number, unitPrice: number, isSettled: boolean, isDiscounted: boolean}}
+ */
+export function getOrderPricing(order, proposal) {
+    const basePrice = Number(!isBlank(order?.Unit_Price__c) ? order.Unit_Price__c : proposal?.Base_Price__c) || 0;
+
+    let unitPrice;
+    let isSettled = true;
+    if (!isBlank(order?.Final_Unit_Price__c)) {
+        unitPrice = Number(order.Final_Unit_Price__c);
+    } else if (!isBlank(proposal?.Final_Price__c)) {
+        unitPrice = Number(proposal.Final_Price__c);
+    } else {
+        unitPrice = applyDiscount(basePrice, proposal?.Current_Discount_Percent__c);
+        isSettled = false;
+    }
+
+    return { basePrice, unitPrice, isSettled, isDiscounted: unitPrice < basePrice };
+}
+
+// ===============================
+// TIER ANALYSIS
+// ===============================
+// Mirrors DiscountTierAnalyzer: GroupProposalDiscountTriggerHandler rejects the errors on save,
+// the warnings are only shown in the tier editor.
+
+/**
+ * Largest discount off the base price a tier may give (whole-number percent), protecting the margin
+ */
+export const MAX_TIER_DISCOUNT_PERCENT = 50;
+
+/**
+ * DiscountTierAnalyzer issue types
+ */
+export const TIER_ISSUE = Object.freeze({
+    GAP: 'GAP',
+    BELOW_MIN_QUOTA: 'BELOW_MIN_QUOTA',
+    ABOVE_MAX_QUOTA: 'ABOVE_MAX_QUOTA',
+    NOT_INCREASING: 'NOT_INCREASING',
+    MARGIN: 'MARGIN',
+    UNCOVERED_START: 'UNCOVERED_START',
+    UNCOVERED_END: 'UNCOVERED_END'
+});
+
+export const TIER_ISSUE_SEVERITY = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning'
+});
+
+function formatRange(from, to) {
+    return from === to ? `${from}` : `${from}-${to}`;
+}
+
+// Equivalent percent of a tier, or null when it cannot be compared (currency tier without a base price)
+function getComparablePercent(tier, basePrice) {
+    const isPercent = isBlank(tier.Discount_Type__c) || tier.Discount_Type__c === DISCOUNT_TYPE.PERCENT;
+    if (isPercent) {
+        return isBlank(tier.Discount__c) ? null : Number(tier.Discount__c);
+    }
+    const price = Number(basePrice);
+    if (!(price > 0)) return null;
+    return (1 - getTierUnitPrice(tier, price) / price) * 100;
+}
+
+/**
+ * Checks the discount tiers of a proposal as a whole: gaps between tiers, tiers outside
+ * of the quota range, discounts that do not increase with quantity, margin violations
+ * against the base price, and quantities of the quota range no tier covers.
+ *
+ * @param {Array<object>} tiers Group_Proposal_Discount__c values being edited; tiers without a quantity range are skipped
+ * @param {object} proposal Group_Buy_Proposal__c with Min_Quota__c, Max_Quota__c and Base_Price__c
+ * @returns {Array<{type: string, severity: string, message: string, tierIndex: number}>}
+ *          issues by ascending tier quantity; tierIndex is the index of the tier in tiers
+ */
+export function analyzeTiers(tiers, proposal) {
+    const minQuota = toLimit(proposal?.Min_Quota__c);
+    const maxQuota = toLimit(proposal?.Max_Quota__c);
+    const basePrice = proposal?.Base_Price__c;
+
+    const sorted = (tiers || [])
+        .map((tier, index) => ({
+            tier,
+            index,
+            min: toLimit(tier.Min_Quota_For_Discount__c),
+            max: toLimit(tier.Max_Quota_Discount__c)
+        }))
+        .filter(entry => entry.min !== null && entry.max !== null)
+        .sort((a, b) => a.min - b.min);
+
+    const issues = [];
+    if (sorted.length === 0) return issues;
+
+    const addIssue = (type, severity, message, entry) => {
+        issues.push({ type, severity, message, tierIndex: entry.index });
+    };
+    const { ERROR, WARNING } = TIER_ISSUE_SEVERITY;
+
+    const first = sorted[0];
+    if (minQuota !== null && first.min > minQuota) {
+        addIssue(TIER_ISSUE.UNCOVERED_START, WARNING,
+            `Quantities ${formatRange(minQuota, first.min - 1)} get no discount.`, first);
+    }
+
+    sorted.forEach((entry, i) => {
+        const range = formatRange(entry.min, entry.max);
+
+        if (minQuota !== null && entry.min < minQuota) {
+            addIssue(TIER_ISSUE.BELOW_MIN_QUOTA, ERROR,
+                `Tier ${range} starts below the minimum quota (${minQuota}).`, entry);
+        }
+        if (maxQuota !== null && entry.max > maxQuota) {
+            addIssue(TIER_ISSUE.ABOVE_MAX_QUOTA, ERROR,
+                `Tier ${range} extends beyond the maximum quota (${maxQuota}).`, entry);
+        }
+
+        const percent = getComparablePercent(entry.tier, basePrice);
+        if (percent !== null && percent > MAX_TIER_DISCOUNT_PERCENT) {
+            addIssue(TIER_ISSUE.MARGIN, ERROR,
+                `Tier ${range} discounts more than ${MAX_TIER_DISCOUNT_PERCENT}% off the base price.`, entry);
+        }
+
+        const previous = sorted[i - 1];
+        if (previous) {
+            if (entry.min > previous.max + 1) {
+                addIssue(TIER_ISSUE.GAP, ERROR,
+                    `Quantities ${formatRange(previous.max + 1, entry.min - 1)} are not covered by any tier.`, entry);
+            }
+
+            const previousPercent = getComparablePercent(previous.tier, basePrice);
+            if (percent !== null && previousPercent !== null && percent <= previousPercent) {
+                addIssue(TIER_ISSUE.NOT_INCREASING, ERROR,
+                    `Tier ${range} must give a bigger discount than tier ${formatRange(previous.min, previous.max)}.`, entry);
+            }
+        }
+    });
+
+    const last = sorted[sorted.length - 1];
+    if (maxQuota !== null && last.max < maxQuota) {
+        addIssue(TIER_ISSUE.UNCOVERED_END, WARNING,
+            `Quantities ${formatRange(last.max + 1, maxQuota)} are not covered by a tier; the last tier applies to them.`, last);
+    }
+
+    return issues;
+}
+
+// ===============================
+// RICH TEXT
+// ===============================
+// Same allow-list as RichTextSanitizer, which sanitizes Description__c on save: descriptions
+// saved before it, or written by other means, are sanitized again when rendered.
+
+const RICH_TEXT_TAGS = new Set([
+    'a', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'i', 'li', 'ol', 'p', 'pre', 's', 'span', 'strike', 'strong', 'sub', 'sup', 'u', 'ul'
+]);
+const RICH_TEXT_VOID_TAGS = new Set(['br']);
+const RICH_TEXT_STYLES = new Set([
+    'background-color', 'color', 'font-family', 'font-size', 'font-style', 'font-weight',
+    'text-align', 'text-decoration'
+]);
+const RICH_TEXT_REMOVED_ELEMENT = /<(script|style|iframe|object|embed|noscript|template|textarea|title|svg|math)\b[\s\S]*?<\/\1\s*>/gi;
+const RICH_TEXT_COMMENT = /<!--[\s\S]*?-->|<![^>]*>|<\?[^>]*>/g;
+const RICH_TEXT_TAG = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>/g;
+const RICH_TEXT_ATTRIBUTE = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+const RICH_TEXT_SAFE_URL = /^(https?:|mailto:|\/|#)[^\s"'<>]*$/i;
+const RICH_TEXT_UNSAFE_STYLE_VALUE = /url|expression|javascript|[<>"\\]/i;
+
+/**
+ * Formats of the lightning-input-rich-text editors of proposal descriptions, all kept by sanitizeRichText
+ */
+export const RICH_TEXT_FORMATS = Object.freeze([
+    'font', 'size', 'bold', 'italic', 'underline', 'strike', 'list', 'indent', 'align', 'link', 'clean', 'header', 'color'
+]);
+
+function sanitizeRichTextStyle(style) {
+    return style.split(';')
+        .map(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon < 0) return null;
+            const property = declaration.slice(0, colon).trim().toLowerCase();
+            const value = declaration.slice(colon + 1).trim();
+            return RICH_TEXT_STYLES.has(property) && value !== '' && !RICH_TEXT_UNSAFE_STYLE_VALUE.test(value)
+                ? `${property}: ${value}`
+                : null;
+        })
+        .filter(declaration => declaration !== null)
+        .join('; ');
+}
+
+function sanitizeRichTextAttribute(tag, attribute, value) {
+    if (attribute === 'class') {
+        return value.split(/\s+/).filter(className => className.startsWith('ql-')).join(' ');
+    }
+    if (attribute === 'style') {
+        return sanitizeRichTextStyle(value);
+    }
+    if (tag === 'a') {
+        if (attribute === 'href') return RICH_TEXT_SAFE_URL.test(value) ? value : null;
+        if (attribute === 'target') return value === '_blank' ? value : null;
+        if (attribute === 'title') return value.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    return null;
+}
+
+function sanitizeRichTextTag(isClosing, name, attributes) {
+    if (!RICH_TEXT_TAGS.has(name)) {
+        return '';
+    }
+    if (isClosing) {
+        return RICH_TEXT_VOID_TAGS.has(name) ? '' : `</${name}>`;
+    }
+
+    let kept = '';
+    for (const match of attributes.matchAll(RICH_TEXT_ATTRIBUTE)) {
+        const attribute = match[1].toLowerCase();
+        const raw = [match[2], match[3], match[4]].find(item => item !== undefined);
+        const value = sanitizeRichTextAttribute(name, attribute, raw.trim());
+        if (value) {
+            kept += ` ${attribute}="${value.replace(/"/g, '&quot;')}"`;
+        }
+    }
+    if (name === 'a' && kept.includes(' target="_blank"')) {
+        kept += ' rel="noopener noreferrer"';
+    }
+    return `<${name}${kept}>`;
+}
+
+function escapeRichText(text) {
+    return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Keeps only the allow-listed tags and attributes of rich text, as RichTextSanitizer does on save:
+ * the tags of lightning-input-rich-text, ql-* classes, text formatting styles and safe links.
+ * Scripts and other embedded content are removed with their content; stray < and > are escaped.
+ *
+ * @param {string} html
+ * @returns {string} an empty string when the text is blank
+ */
+export function sanitizeRichText(html) {
+    if (!html) {
+        return '';
+    }
+
+    const source = String(html)
+        .replace(RICH_TEXT_REMOVED_ELEMENT, '')
+        .replace(RICH_TEXT_COMMENT, '');
+
+    let result = '';
+    let last = 0;
+    for (const match of source.matchAll(RICH_TEXT_TAG)) {
+        result += escapeRichText(source.slice(last, match.index));
+        result += sanitizeRichTextTag(match[1] === '/', match[2].toLowerCase(), match[3]);
+        last = match.index + match[0].length;
+    }
+    return result + escapeRichText(source.slice(last));
+}
+
+// ===============================
+// ERRORS
+// ===============================
+
+/**
+ * Reduces one or more errors (Apex, UI API, JS) into a single message.
+ *
+ * @param {string|Error|Object|Array} error
+ * @param {string} [fallback] returned when no message can be found
+ * @returns {string} the messages joined by ", "
+ */
+export function reduceErrors(error, fallback = DEFAULT_ERROR_MESSAGE) {
+    const messages = collectErrorMessages(error);
+    return messages.length > 0 ? messages.join(', ') : fallback;
+}
+
+function collectErrorMessages(error) {
+    if (!error) {
+        return [];
+    }
+    if (typeof error === 'string') {
+        return [error];
+    }
+    if (Array.isArray(error)) {
+        return error.flatMap(collectErrorMessages);
+    }
+
+    const { body } = error;
+    if (Array.isArray(body)) {
+        // UI API read errors
+        return body.map((e) => e && e.message).filter(Boolean);
+    }
+    if (body) {
+        // Apex errors, including AuraHandledException
+        if (typeof body.message === 'string' && body.message) {
+            return [body.message];
+        }
+        // UI API DML, page and field errors
+        const messages = [
+            ...(body.pageErrors || []),
+            ...Object.values(body.fieldErrors || {}).flat(),
+            ...((body.output && body.output.errors) || []),
+            ...Object.values((body.output && body.output.fieldErrors) || {}).flat()
+        ]
+            .map((e) => e && e.message)
+            .filter(Boolean);
+        if (messages.length > 0) {
+            return messages;
+        }
+    }
+    // JS errors
+    if (typeof error.message === 'string' && error.message) {
+        return [error.message];
+    }
+    return [];
+}
@@ -0,0 +1,59 @@
+import {
+    DEFAULT_URGENCY_THRESHOLDS,
+    URGENCY_LEVEL,
+    getCountdown,
+    formatCountdown,
+    getUrgencyLevel,
+    formatDeadline
+} from '../countdown';
+
+describe('Group Buy Countdown: Countdown', () => {
+    const HOUR = 60 * 60 * 1000;
+    const now = Date.UTC(2026, 2, 1, 12, 0, 0);
+
+    it('splits the time left into days, hours, minutes and seconds', () => {
+        // Act
+        const countdown = getCountdown(new Date(now + 2 * 24 * HOUR + 5 * HOUR + 13 * 60000 + 7000), now);
+
+        // Assert
+        expect(countdown).toMatchObject({ days: 2, hours: 5, minutes: 13, seconds: 7, isOver: false });
+        expect(getCountdown(new Date(now - HOUR), now)).toMatchObject({ totalMs: 0, days: 0, isOver: true });
+        expect(getCountdown(null, now)).toBeNull();
+    });
+
+    it('formats a countdown', () => {
+        // Act
+        const formatted = [
+            now + 2 * 24 * HOUR + 5 * HOUR + 13 * 60000,
+            now + 5 * HOUR + 60000,
+            now + 13 * 60000 + 5000,
+            now - 1
+        ].map(deadline => formatCountdown(getCountdown(deadline, now)));
+
+        // Assert
+        expect(formatted).toEqual(['2d 5h 13m', '5h 1m', '13m 05s', '']);
+    });
+
+    it('rates the urgency against the thresholds', () => {
+        // Arrange
+        const inHours = hours => getCountdown(now + hours * HOUR, now);
+
+        // Act
+        const levels = [100, DEFAULT_URGENCY_THRESHOLDS.warningHours, 2, -1].map(hours => getUrgencyLevel(inHours(hours)));
+        const custom = getUrgencyLevel(inHours(10), { warningHours: 12, criticalHours: 6 });
+
+        // Assert
+        expect(levels).toEqual([URGENCY_LEVEL.NORMAL, URGENCY_LEVEL.WARNING, URGENCY_LEVEL.CRITICAL, URGENCY_LEVEL.ENDED]);
+        expect(custom).toBe(URGENCY_LEVEL.WARNING);
+        expect(getUrgencyLevel(null)).toBe(URGENCY_LEVEL.NORMAL);
+    });
+
+    it('formats a deadline with its time zone', () => {
+        // Act
+        const formatted = formatDeadline('2026-03-01T18:30:00.000Z');
+
+        // Assert
+        expect(formatted).toContain('2026');
+        expect(formatDeadline(null)).toBe('N/A');
+    });
+});
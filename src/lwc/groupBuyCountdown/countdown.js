@@ -0,0 +1,113 @@
+/**
+ * Countdowns to the Start_Date__c/End_Date__c of a proposal. The time left does not depend on
+ * the time zone; deadlines are displayed in the time zone of the user's Salesforce settings.
+ */
+import LANG from '@salesforce/i18n/lang';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import { EMPTY_VALUE, HOUR_MS, parseDate } from 'c/groupBuyCore';
+
+/**
+ * Hours left before a deadline at which a countdown turns to the warning and critical styles
+ */
+export const DEFAULT_URGENCY_THRESHOLDS = Object.freeze({
+    warningHours: 72,
+    criticalHours: 24
+});
+
+export const URGENCY_LEVEL = Object.freeze({
+    NORMAL: 'normal',
+    WARNING: 'warning',
+    CRITICAL: 'critical',
+    ENDED: 'ended'
+});
+
+/**
+ * Splits the time left before a deadline into days, hours, minutes and seconds
+ *
+ * @param {string|number|Date} deadline
+ * @param {number} [now] timestamp, defaults to the current time
+ * @returns {{totalMs: number, days: number, hours: number, minutes: number, seconds: number, isOver: Boolean}|null}
+ *          null when the deadline is empty or invalid; all parts are 0 once it is over
+ */
+export function getCountdown(deadline, now = Date.now()) {
+    const date = parseDate(deadline);
+    if (!date) {
+        return null;
+    }
+    const totalMs = Math.max(0, date.getTime() - now);
+    const totalSeconds = Math.floor(totalMs / 1000);
+    return {
+        totalMs,
+        days: Math.floor(totalSeconds / 86400),
+        hours: Math.floor((totalSeconds % 86400) / 3600),
+        minutes: Math.floor((totalSeconds % 3600) / 60),
+        seconds: totalSeconds % 60,
+        isOver: totalMs === 0
+    };
+}
+
+/**
+ * Formats a countdown, e.g. "2d 5h 13m", "5h 13m" or "13m 05s" in the last hour
+ *
+ * @param {object} countdown getCountdown result
+ * @returns {string} an empty string when there is no countdown or it is over
+ */
+export function formatCountdown(countdown) {
+    if (!countdown || countdown.isOver) {
+        return '';
+    }
+    const { days, hours, minutes, seconds } = countdown;
+    if (days > 0) {
+        return `${days}d ${hours}h ${minutes}m`;
+    }
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Urgency of a countdown against thresholds in hours
+ *
+ * @param {object} countdown getCountdown result
+ * @param {{warningHours: number, criticalHours: number}} [thresholds]
+ * @returns {string} a URGENCY_LEVEL value; NORMAL when there is no countdown
+ */
+export function getUrgencyLevel(countdown, thresholds = DEFAULT_URGENCY_THRESHOLDS) {
+    if (!countdown) {
+        return URGENCY_LEVEL.NORMAL;
+    }
+    if (countdown.isOver) {
+        return URGENCY_LEVEL.ENDED;
+    }
+    if (countdown.totalMs <= Number(thresholds.criticalHours) * HOUR_MS) {
+        return URGENCY_LEVEL.CRITICAL;
+    }
+    if (countdown.totalMs <= Number(thresholds.warningHours) * HOUR_MS) {
+        return URGENCY_LEVEL.WARNING;
+    }
+    return URGENCY_LEVEL.NORMAL;
+}
+
+/**
+ * Formats a deadline with its time zone, e.g. "Mar 1, 2026, 10:00 AM PST"
+ *
+ * @param {string|number|Date} value
+ * @param {string} [fallback='N/A'] returned when the value is empty or invalid
+ * @returns {string}
+ */
+export function formatDeadline(value, fallback = EMPTY_VALUE) {
+    const date = parseDate(value);
+    if (!date) {
+        return fallback;
+    }
+    return date.toLocaleString(LANG, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: TIME_ZONE,
+        timeZoneName: 'short'
+    });
+}
@@ -0,0 +1,120 @@
+import { LightningElement, api, track } from 'lwc';
+import { parseDate } from 'c/groupBuyCore';
+import {
+    DEFAULT_URGENCY_THRESHOLDS,
+    URGENCY_LEVEL,
+    getCountdown,
+    formatCountdown,
+    getUrgencyLevel,
+    formatDeadline
+} from './countdown';
+
+const TICK_MS = 1000;
+
+/**
+ * Countdown to the start of a proposal, or to its end once started, ticking every second.
+ * The countdown turns to the warning and critical styles when fewer than warningHours and
+ * criticalHours are left.
+ */
+export default class GroupBuyCountdown extends LightningElement {
+    @api startDate;
+    @api endDate;
+    @api warningHours = DEFAULT_URGENCY_THRESHOLDS.warningHours;
+    @api criticalHours = DEFAULT_URGENCY_THRESHOLDS.criticalHours;
+    // Single line for tables and cards
+    @api compact = false;
+
+    @track now = Date.now();
+    timer = null;
+
+    connectedCallback() {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.timer = setInterval(() => {
+            this.now = Date.now();
+            if (this.isOver) {
+                this.stopTimer();
+            }
+        }, TICK_MS);
+    }
+
+    disconnectedCallback() {
+        this.stopTimer();
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get isUpcoming() {
+        const start = parseDate(this.startDate);
+        return !!start && start.getTime() > this.now;
+    }
+
+    get deadline() {
+        return this.isUpcoming ? this.startDate : this.endDate;
+    }
+
+    get countdown() {
+        return getCountdown(this.deadline, this.now);
+    }
+
+    get hasCountdown() {
+        return !!this.countdown;
+    }
+
+    get isOver() {
+        return !!this.countdown && this.countdown.isOver;
+    }
+
+    get isRunning() {
+        return !!this.countdown && !this.countdown.isOver;
+    }
+
+    get urgency() {
+        // Urgency applies to the end of the proposal only
+        if (this.isUpcoming) {
+            return URGENCY_LEVEL.NORMAL;
+        }
+        return getUrgencyLevel(this.countdown, {
+            warningHours: this.warningHours,
+            criticalHours: this.criticalHours
+        });
+    }
+
+    get containerClass() {
+        const variant = this.compact ? 'countdown countdown-compact' : 'countdown';
+        return `${variant} countdown-${this.urgency}`;
+    }
+
+    // Compact countdowns sit next to the end date and its icon
+    get showIcon() {
+        return !this.compact;
+    }
+
+    get prefix() {
+        return this.isUpcoming ? 'Starts in' : 'Ends in';
+    }
+
+    get countdownLabel() {
+        return formatCountdown(this.countdown);
+    }
+
+    get parts() {
+        const { days, hours, minutes } = this.countdown;
+        return [
+            { key: 'days', value: days, unit: days === 1 ? 'day' : 'days' },
+            { key: 'hours', value: String(hours).padStart(2, '0'), unit: 'hrs' },
+            { key: 'minutes', value: String(minutes).padStart(2, '0'), unit: 'min' }
+        ];
+    }
+
+    get deadlineTitle() {
+        const label = this.isUpcoming ? 'Starts' : (this.isOver ? 'Ended' : 'Ends');
+        return `${label} ${formatDeadline(this.deadline)}`;
+    }
+}
@@ -0,0 +1,268 @@
+import { DISCOUNT_TYPE } from 'c/groupBuyCore';
+import {
+    toCsv,
+    parseCsv,
+    TIER_CSV_COLUMNS,
+    getTierValueField,
+    tiersToCsv,
+    guessTierCsvMapping,
+    mapTierCsvRows,
+    validateTierRow,
+    getTierOverlapError,
+    diffTiers
+} from 'c/groupBuyCsv';
+
+describe('Group Buy CSV: CSV', () => {
+    it('escapes commas, quotes and line breaks', () => {
+        // Arrange
+        const columns = [
+            { label: 'Name', fieldName: 'Name' },
+            { label: 'Note', fieldName: 'Note' }
+        ];
+
+        // Act
+        const csv = toCsv(columns, [{ Name: 'A, B', Note: 'Say "hi"' }, { Name: 'C', Note: null }]);
+
+        // Assert
+        expect(csv).toBe('Name,Note\r\n"A, B","Say ""hi"""\r\nC,');
+    });
+
+    it('parses quoted values, CRLF, a byte order mark and empty lines', () => {
+        // Arrange
+        const text = '\uFEFFName,Note\r\n"A, B","Say ""hi"""\r\n\r\nC, D \n';
+
+        // Act
+        const lines = parseCsv(text);
+
+        // Assert
+        expect(lines).toEqual([
+            ['Name', 'Note'],
+            ['A, B', 'Say "hi"'],
+            ['C', 'D']
+        ]);
+    });
+
+    it('round-trips a document', () => {
+        // Arrange
+        const columns = [{ label: 'Value', fieldName: 'value' }];
+        const records = [{ value: 'line\nbreak' }, { value: '"quoted"' }];
+
+        // Act
+        const lines = parseCsv(toCsv(columns, records));
+
+        // Assert
+        expect(lines).toEqual([['Value'], ['line\nbreak'], ['"quoted"']]);
+    });
+});
+
+describe('Group Buy CSV: tier CSV', () => {
+    const savedTiers = [
+        {
+            Id: 'a01',
+            Min_Quota_For_Discount__c: 100,
+            Max_Quota_Discount__c: 199,
+            Discount_Type__c: DISCOUNT_TYPE.PERCENT,
+            Discount__c: 5
+        },
+        {
+            Id: 'a02',
+            Min_Quota_For_Discount__c: 200,
+            Max_Quota_Discount__c: 299,
+            Discount_Type__c: DISCOUNT_TYPE.AMOUNT_OFF,
+            // Derived on save
+            Discount__c: 10,
+            Amount_Off__c: 20
+        },
+        {
+            Id: 'a03',
+            Min_Quota_For_Discount__c: 300,
+            Max_Quota_Discount__c: 500,
+            Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT,
+            Tier_Price__c: 160
+        }
+    ];
+
+    const readCsv = (text) => {
+        const [headers, ...lines] = parseCsv(text);
+        return mapTierCsvRows(lines, guessTierCsvMapping(headers));
+    };
+
+    it('exports only the value of each tier type', () => {
+        // Act
+        const csv = tiersToCsv(savedTiers);
+
+        // Assert
+        expect(csv.split('\r\n')).toEqual([
+            'Id,Min Quantity,Max Quantity,Discount Type,Discount %,Amount Off,Tier Price',
+            'a01,100,199,Percent,5,,',
+            'a02,200,299,Amount Off,,20,',
+            'a03,300,500,Price Point,,,160'
+        ]);
+    });
+
+    it('returns the value field of each tier type', () => {
+        // Assert
+        expect(getTierValueField(DISCOUNT_TYPE.PERCENT)).toBe('Discount__c');
+        expect(getTierValueField(undefined)).toBe('Discount__c');
+        expect(getTierValueField(DISCOUNT_TYPE.AMOUNT_OFF)).toBe('Amount_Off__c');
+        expect(getTierValueField(DISCOUNT_TYPE.PRICE_POINT)).toBe('Tier_Price__c');
+        expect(getTierValueField('Bogus')).toBeUndefined();
+    });
+
+    it('guesses the columns by label or API name', () => {
+        // Act
+        const mapping = guessTierCsvMapping(['max quantity', 'MIN_QUOTA_FOR_DISCOUNT__C', 'Notes', 'Discount %']);
+
+        // Assert
+        expect(mapping.Min_Quota_For_Discount__c).toBe(1);
+        expect(mapping.Max_Quota_Discount__c).toBe(0);
+        expect(mapping.Discount__c).toBe(3);
+        expect(mapping.Id).toBe(-1);
+        expect(Object.keys(mapping)).toHaveLength(TIER_CSV_COLUMNS.length);
+    });
+
+    it('reads tiers with the line number, type and value of their type', () => {
+        // Arrange
+        const text = [
+            'Min,Max,Type,Discount %,Tier Price',
+            '100,199,,5,',
+            '200,299,tier unit price,,$150',
+            '300,x,Bogus,,'
+        ].join('\n');
+        const [, ...lines] = parseCsv(text);
+        const mapping = {
+            Id: -1,
+            Min_Quota_For_Discount__c: 0,
+            Max_Quota_Discount__c: 1,
+            Discount_Type__c: 2,
+            Discount__c: 3,
+            Amount_Off__c: -1,
+            Tier_Price__c: 4
+        };
+
+        // Act
+        const tiers = mapTierCsvRows(lines, mapping);
+
+        // Assert
+        expect(tiers[0]).toEqual(expect.objectContaining({
+            csvLine: 2,
+            Id: null,
+            Min_Quota_For_Discount__c: 100,
+            Discount_Type__c: DISCOUNT_TYPE.PERCENT,
+            Discount__c: 5
+        }));
+        expect(tiers[1]).toEqual(expect.objectContaining({
+            Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT,
+            Discount__c: null,
+            Tier_Price__c: 150
+        }));
+        expect(tiers[2].Max_Quota_Discount__c).toBe('x');
+        expect(tiers[2].Discount_Type__c).toBe('Bogus');
+    });
+
+    it('validates a tier with the rules of the tier editor', () => {
+        // Assert
+        expect(validateTierRow(savedTiers[1], 200)).toEqual([]);
+        expect(validateTierRow({ Discount_Type__c: DISCOUNT_TYPE.PERCENT, Discount__c: 5 })).toEqual([
+            'Min Quantity is required.',
+            'Max Quantity is required.'
+        ]);
+        expect(validateTierRow({
+            Min_Quota_For_Discount__c: 300,
+            Max_Quota_Discount__c: 200,
+            Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT,
+            Tier_Price__c: 250
+        }, 200)).toEqual([
+            'Min Quota (300) cannot be greater than Max Quota (200).',
+            'Tier amount ($250.00) cannot exceed the base price ($200.00).'
+        ]);
+    });
+
+    it('rejects invalid values and types', () => {
+        // Assert
+        expect(validateTierRow({
+            Min_Quota_For_Discount__c: 1.5,
+            Max_Quota_Discount__c: 10,
+            Discount__c: 'abc'
+        })).toEqual([
+            'Min Quantity (1.5) must be a whole number of at least 1.',
+            'Discount % (abc) must be a number of at least 0.'
+        ]);
+        expect(validateTierRow({
+            Min_Quota_For_Discount__c: 1,
+            Max_Quota_Discount__c: 10,
+            Discount_Type__c: DISCOUNT_TYPE.PERCENT,
+            Discount__c: 120
+        })).toEqual(['Discount % (120) cannot be greater than 100.']);
+        expect(validateTierRow({
+            Min_Quota_For_Discount__c: 1,
+            Max_Quota_Discount__c: 10,
+            Discount_Type__c: 'Bogus'
+        })[0]).toMatch(/^Discount Type \(Bogus\) must be one of/);
+    });
+
+    it('finds overlapping quantity ranges', () => {
+        // Assert
+        expect(getTierOverlapError(savedTiers)).toBeNull();
+        expect(getTierOverlapError([
+            { Min_Quota_For_Discount__c: 50, Max_Quota_Discount__c: 100 },
+            { Min_Quota_For_Discount__c: 1, Max_Quota_Discount__c: 50 }
+        ])).toBe('Quota range overlap: [1-50] and [50-100]');
+    });
+
+    it('finds nothing to change when the export is imported back', () => {
+        // Act
+        const diff = diffTiers(savedTiers, readCsv(tiersToCsv(savedTiers)));
+
+        // Assert
+        expect(diff.inserts).toHaveLength(0);
+        expect(diff.updates).toHaveLength(0);
+        expect(diff.deletes).toHaveLength(0);
+        expect(diff.unchanged.map(tier => tier.Id)).toEqual(['a01', 'a02', 'a03']);
+    });
+
+    it('diffs inserts, updates by Id or Min Quantity and deletes', () => {
+        // Arrange
+        const imported = readCsv([
+            'Id,Min Quantity,Max Quantity,Discount Type,Discount %,Amount Off',
+            'a01,100,249,Percent,6,',
+            ',250,299,Amount Off,,25',
+            ',600,700,Percent,30,'
+        ].join('\n'));
+
+        // Act
+        const diff = diffTiers(savedTiers, imported);
+
+        // Assert
+        expect(diff.updates).toHaveLength(1);
+        expect(diff.updates[0].tier.Id).toBe('a01');
+        expect(diff.updates[0].changes).toEqual([
+            { field: 'Max_Quota_Discount__c', label: 'Max Quantity', from: 199, to: 249 },
+            { field: 'Discount__c', label: 'Discount %', from: 5, to: 6 }
+        ]);
+        expect(diff.inserts.map(tier => tier.Min_Quota_For_Discount__c)).toEqual([250, 600]);
+        expect(diff.inserts.every(tier => tier.Id === null)).toBe(true);
+        expect(diff.deletes.map(tier => tier.Id)).toEqual(['a02', 'a03']);
+    });
+
+    it('matches by Min Quantity when the Id is unknown', () => {
+        // Arrange
+        const imported = [{
+            Id: 'other',
+            Min_Quota_For_Discount__c: 300,
+            Max_Quota_Discount__c: 500,
+            Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT,
+            Tier_Price__c: 150
+        }];
+
+        // Act
+        const diff = diffTiers(savedTiers, imported);
+
+        // Assert
+        expect(diff.updates[0].tier.Id).toBe('a03');
+        expect(diff.updates[0].changes).toEqual([
+            { field: 'Tier_Price__c', label: 'Tier Price', from: 160, to: 150 }
+        ]);
+        expect(diff.deletes).toHaveLength(2);
+    });
+});
@@ -0,0 +1,406 @@
+/**
+ * A internal module that reads and writes the CSV documents of group buy components,
+ * and exchanges discount tiers with spreadsheets.
+ */
+import {
+    DISCOUNT_TYPE,
+    isBlank,
+    getDiscountTypeOptions,
+    formatCurrency
+} from 'c/groupBuyCore';
+
+// ===============================
+// CSV
+// ===============================
+
+const CSV_LINE_BREAK = '\r\n';
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV document with a header line
+ *
+ * @param {Array<{label: string, fieldName: string}>} columns
+ * @param {Array<object>} records
+ * @returns {string}
+ */
+export function toCsv(columns, records) {
+    const lines = [columns.map(column => escapeCsvValue(column.label)).join(',')];
+    (records || []).forEach(record => {
+        lines.push(columns.map(column => escapeCsvValue(record[column.fieldName])).join(','));
+    });
+    return lines.join(CSV_LINE_BREAK);
+}
+
+/**
+ * Parses a CSV document: quoted values, escaped quotes, CRLF or LF line breaks and
+ * a leading byte order mark are supported. Empty lines are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<Array<string>>} the lines, header included, as trimmed values
+ */
+export function parseCsv(text) {
+    const lines = [];
+    let values = [];
+    let value = '';
+    let inQuotes = false;
+    const source = (text || '').replace(/^\uFEFF/, '');
+
+    const endValue = () => {
+        values.push(value.trim());
+        value = '';
+    };
+    const endLine = () => {
+        endValue();
+        if (values.some(item => item !== '')) {
+            lines.push(values);
+        }
+        values = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endValue();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endLine();
+        } else {
+            value += char;
+        }
+    }
+    endLine();
+
+    return lines;
+}
+
+/**
+ * Downloads a CSV document from the browser
+ *
+ * @param {string} fileName
+ * @param {string} csv
+ */
+export function downloadCsv(fileName, csv) {
+    const link = document.createElement('a');
+    link.href = `data:text/csv;charset=utf-8,${encodeURIComponent(csv)}`;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * Normalizes a CSV header or value for matching: lower case letters, digits and % only
+ *
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeCsvHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9%]/g, '');
+}
+
+/**
+ * Guesses the column of each field from the CSV headers, by column label or API name
+ *
+ * @param {Array<{label: string, fieldName: string}>} columns
+ * @param {Array<string>} headers the first line of the CSV
+ * @returns {Object<string, number>} column index by field name; -1 when no column matches
+ */
+export function guessCsvMapping(columns, headers) {
+    const normalized = (headers || []).map(normalizeCsvHeader);
+    const mapping = {};
+    columns.forEach(column => {
+        mapping[column.fieldName] = normalized.findIndex(header =>
+            header === normalizeCsvHeader(column.label) || header === normalizeCsvHeader(column.fieldName));
+    });
+    return mapping;
+}
+
+/**
+ * Value of a field in a CSV line
+ *
+ * @param {Array<string>} line
+ * @param {Object<string, number>} mapping column index by field name
+ * @param {string} fieldName
+ * @returns {string} an empty string when the field has no column
+ */
+export function readCsvValue(line, mapping, fieldName) {
+    const index = mapping ? mapping[fieldName] : -1;
+    return index === undefined || index === null || index < 0 ? '' : (line[index] || '');
+}
+
+/**
+ * Reads a number from a CSV value, ignoring currency and percent signs
+ *
+ * @param {string} value
+ * @returns {number|string|null} null when blank; the value as entered when it is not a number
+ */
+export function toCsvNumber(value) {
+    if (isBlank(value)) return null;
+    const number = Number(String(value).replace(/[$%\s]/g, ''));
+    // Non-numeric values are kept as entered and reported by the row validation
+    return isNaN(number) ? value : number;
+}
+
+// ===============================
+// TIER CSV
+// ===============================
+// Discount tiers are exchanged with spreadsheets as one line per tier. Only the value
+// column of the tier type is read; Discount__c of currency tiers is derived on save.
+
+/**
+ * Columns of a discount tier CSV
+ */
+export const TIER_CSV_COLUMNS = Object.freeze([
+    { label: 'Id', fieldName: 'Id' },
+    { label: 'Min Quantity', fieldName: 'Min_Quota_For_Discount__c' },
+    { label: 'Max Quantity', fieldName: 'Max_Quota_Discount__c' },
+    { label: 'Discount Type', fieldName: 'Discount_Type__c' },
+    { label: 'Discount %', fieldName: 'Discount__c' },
+    { label: 'Amount Off', fieldName: 'Amount_Off__c' },
+    { label: 'Tier Price', fieldName: 'Tier_Price__c' }
+]);
+
+// Field holding the tier value for each discount type
+const TIER_VALUE_FIELD_BY_TYPE = Object.freeze({
+    [DISCOUNT_TYPE.PERCENT]: 'Discount__c',
+    [DISCOUNT_TYPE.AMOUNT_OFF]: 'Amount_Off__c',
+    [DISCOUNT_TYPE.PRICE_POINT]: 'Tier_Price__c'
+});
+
+// Tier fields compared by diffTiers
+const TIER_DIFF_FIELDS = TIER_CSV_COLUMNS.filter(column => column.fieldName !== 'Id');
+
+/**
+ * Field holding the value of a tier type
+ *
+ * @param {string} discountType Discount_Type__c value; blank for a percent tier
+ * @returns {string} Discount__c, Amount_Off__c or Tier_Price__c
+ */
+export function getTierValueField(discountType) {
+    return TIER_VALUE_FIELD_BY_TYPE[discountType || DISCOUNT_TYPE.PERCENT];
+}
+
+// Tier values as they are saved: only the value field of the tier type is kept
+function toComparableTier(tier) {
+    const type = tier.Discount_Type__c || DISCOUNT_TYPE.PERCENT;
+    const valueField = getTierValueField(type);
+    const comparable = { ...tier, Discount_Type__c: type };
+    Object.values(TIER_VALUE_FIELD_BY_TYPE)
+        .filter(field => field !== valueField)
+        .forEach(field => {
+            comparable[field] = null;
+        });
+    return comparable;
+}
+
+/**
+ * Builds a CSV document of discount tiers, keeping only the value of each tier type
+ *
+ * @param {Array<object>} tiers Group_Proposal_Discount__c values
+ * @returns {string}
+ */
+export function tiersToCsv(tiers) {
+    const records = (tiers || []).map(toComparableTier);
+    return toCsv(TIER_CSV_COLUMNS, records);
+}
+
+/**
+ * Guesses the column of each tier field from the CSV headers, by column label or API name
+ *
+ * @param {Array<string>} headers the first line of the CSV
+ * @returns {Object<string, number>} column index by field name; -1 when no column matches
+ */
+export function guessTierCsvMapping(headers) {
+    return guessCsvMapping(TIER_CSV_COLUMNS, headers);
+}
+
+function toDiscountType(value) {
+    if (isBlank(value)) return DISCOUNT_TYPE.PERCENT;
+    const normalized = normalizeCsvHeader(value);
+    // Types are matched by value, option label or the label of their value column ("Tier Price")
+    const type = Object.keys(TIER_VALUE_FIELD_BY_TYPE).find(key => {
+        const option = getDiscountTypeOptions().find(item => item.value === key);
+        const column = TIER_CSV_COLUMNS.find(item => item.fieldName === TIER_VALUE_FIELD_BY_TYPE[key]);
+        return [key, option.label, column.label].some(label => normalizeCsvHeader(label) === normalized);
+    });
+    // Unknown types are kept as entered and reported by validateTierRow
+    return type || value;
+}
+
+/**
+ * Reads discount tiers from CSV lines
+ *
+ * @param {Array<Array<string>>} lines the CSV lines without the header
+ * @param {Object<string, number>} mapping column index by field name, as returned by guessTierCsvMapping
+ * @returns {Array<object>} Group_Proposal_Discount__c values, with the 1-based CSV line number
+ *          (header included) in csvLine
+ */
+export function mapTierCsvRows(lines, mapping) {
+    const read = (line, fieldName) => readCsvValue(line, mapping, fieldName);
+
+    return (lines || []).map((line, index) => {
+        const type = toDiscountType(read(line, 'Discount_Type__c'));
+        const valueField = getTierValueField(type);
+        const tier = {
+            csvLine: index + 2,
+            Id: read(line, 'Id') || null,
+            Min_Quota_For_Discount__c: toCsvNumber(read(line, 'Min_Quota_For_Discount__c')),
+            Max_Quota_Discount__c: toCsvNumber(read(line, 'Max_Quota_Discount__c')),
+            Discount_Type__c: type,
+            Discount__c: null,
+            Amount_Off__c: null,
+            Tier_Price__c: null
+        };
+        if (valueField) {
+            tier[valueField] = toCsvNumber(read(line, valueField));
+        }
+        return tier;
+    });
+}
+
+/**
+ * Checks a single discount tier, as the tier editor does before saving
+ *
+ * @param {object} tier Group_Proposal_Discount__c values
+ * @param {number} [basePrice] the proposal Base_Price__c; currency tiers cannot exceed it
+ * @returns {Array<string>} the error messages; empty when the tier is valid
+ */
+export function validateTierRow(tier, basePrice) {
+    const errors = [];
+    const min = tier.Min_Quota_For_Discount__c;
+    const max = tier.Max_Quota_Discount__c;
+
+    [
+        ['Min Quantity', min],
+        ['Max Quantity', max]
+    ].forEach(([label, value]) => {
+        if (isBlank(value)) {
+            errors.push(`${label} is required.`);
+        } else if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+            errors.push(`${label} (${value}) must be a whole number of at least 1.`);
+        }
+    });
+    if (errors.length === 0 && Number(min) > Number(max)) {
+        errors.push(`Min Quota (${min}) cannot be greater than Max Quota (${max}).`);
+    }
+
+    const valueField = getTierValueField(tier.Discount_Type__c);
+    if (!valueField) {
+        errors.push(`Discount Type (${tier.Discount_Type__c}) must be one of: ${Object.values(DISCOUNT_TYPE).join(', ')}.`);
+        return errors;
+    }
+
+    const label = TIER_CSV_COLUMNS.find(column => column.fieldName === valueField).label;
+    const value = tier[valueField];
+    if (isBlank(value)) {
+        errors.push(`${label} is required.`);
+    } else if (isNaN(Number(value)) || Number(value) < 0) {
+        errors.push(`${label} (${value}) must be a number of at least 0.`);
+    } else if (valueField === 'Discount__c') {
+        if (Number(value) > 100) {
+            errors.push(`${label} (${value}) cannot be greater than 100.`);
+        }
+    } else if (!isBlank(basePrice) && Number(value) > Number(basePrice)) {
+        errors.push(`Tier amount (${formatCurrency(value)}) cannot exceed the base price (${formatCurrency(basePrice)}).`);
+    }
+
+    return errors;
+}
+
+/**
+ * Finds the first two discount tiers with overlapping quantity ranges
+ *
+ * @param {Array<object>} tiers Group_Proposal_Discount__c values
+ * @returns {string|null} the error message, or null when no range overlaps
+ */
+export function getTierOverlapError(tiers) {
+    const sorted = [...(tiers || [])].sort((a, b) =>
+        Number(a.Min_Quota_For_Discount__c) - Number(b.Min_Quota_For_Discount__c));
+
+    for (let i = 0; i < sorted.length - 1; i++) {
+        const current = sorted[i];
+        const next = sorted[i + 1];
+        if (Number(current.Max_Quota_Discount__c) >= Number(next.Min_Quota_For_Discount__c)) {
+            return `Quota range overlap: [${current.Min_Quota_For_Discount__c}-${current.Max_Quota_Discount__c}] and [${next.Min_Quota_For_Discount__c}-${next.Max_Quota_Discount__c}]`;
+        }
+    }
+    return null;
+}
+
+function isSameTierValue(a, b) {
+    if (isBlank(a) || isBlank(b)) return isBlank(a) === isBlank(b);
+    return String(a) === String(b) || Number(a) === Number(b);
+}
+
+/**
+ * Compares imported discount tiers with the current ones. An imported tier updates the
+ * current tier with the same Id or, without a known Id, with the same Min Quantity; other
+ * imported tiers are inserted, and current tiers matched by none are deleted.
+ *
+ * @param {Array<object>} current Group_Proposal_Discount__c values being edited
+ * @param {Array<object>} imported Group_Proposal_Discount__c values read from a CSV
+ * @returns {{inserts: Array<object>, updates: Array<{tier: object, changes: Array<{field: string, label: string, from: *, to: *}>}>,
+ *           deletes: Array<object>, unchanged: Array<object>}}
+ *          imported tiers carry the Id of the current tier they update, or a null Id
+ */
+export function diffTiers(current, imported) {
+    const remaining = [...(current || [])];
+    const diff = { inserts: [], updates: [], deletes: [], unchanged: [] };
+
+    const take = predicate => {
+        const index = remaining.findIndex(predicate);
+        return index < 0 ? null : remaining.splice(index, 1)[0];
+    };
+
+    (imported || []).forEach(tier => {
+        const match = (tier.Id && take(item => item.Id === tier.Id)) ||
+            take(item => !isBlank(tier.Min_Quota_For_Discount__c) &&
+                isSameTierValue(item.Min_Quota_For_Discount__c, tier.Min_Quota_For_Discount__c));
+
+        if (!match) {
+            diff.inserts.push({ ...tier, Id: null });
+            return;
+        }
+
+        const matched = { ...tier, Id: match.Id || null };
+        const from = toComparableTier(match);
+        const to = toComparableTier(tier);
+        const changes = TIER_DIFF_FIELDS
+            .filter(({ fieldName }) => !isSameTierValue(from[fieldName], to[fieldName]))
+            .map(({ fieldName, label }) => ({
+                field: fieldName,
+                label,
+                from: from[fieldName],
+                to: to[fieldName]
+            }));
+
+        if (!matched.Id) {
+            // Unsaved tiers have no record to update
+            diff.inserts.push(matched);
+        } else if (changes.length > 0) {
+            diff.updates.push({ tier: matched, changes });
+        } else {
+            diff.unchanged.push(matched);
+        }
+    });
+
+    diff.deletes = remaining;
+    return diff;
+}
@@ -2,9 +2,41 @@ import { LightningElement, api, track, wire } from 'lwc';
 import { refreshApex } from '@salesforce/apex';
 import getDiscounts from '@salesforce/apex/GroupBuyDiscountController.getDiscounts';
 import saveDiscounts from '@salesforce/apex/GroupBuyDiscountController.saveDiscounts';
+import getTierContext from '@salesforce/apex/GroupBuyDiscountController.getTierContext';
+import getTemplates from '@salesforce/apex/DiscountTierTemplateController.getTemplates';
+import saveTemplate from '@salesforce/apex/DiscountTierTemplateController.saveTemplate';
+import previewTemplate from '@salesforce/apex/DiscountTierTemplateController.previewTemplate';
+import {
+    DISCOUNT_TYPE,
+    TIER_ISSUE_SEVERITY,
+    getDiscountTypeOptions,
+    getTierUnitPrice,
+    formatTierDiscount,
+    formatCurrency,
+    analyzeTiers,
+    reduceErrors
+} from 'c/groupBuyCore';
+import {
+    getTierValueField,
+    validateTierRow,
+    getTierOverlapError,
+    tiersToCsv,
+    downloadCsv
+} from 'c/groupBuyCsv';
+
+const NUMBER_FIELDS = ['Discount__c', 'Amount_Off__c', 'Tier_Price__c'];
+
+function isBlankValue(value) {
+    return value === null || value === undefined || value === '';
+}
 
 export default class GroupBuyDiscountManager extends LightningElement {
     @api recordId;
+    // Group_Buy_Proposal__c Base_Price__c, Min_Quota__c and Max_Quota__c for the unit price
+    // preview and the tier analysis, loaded from the proposal when not set
+    @api basePrice;
+    @api minQuota;
+    @api maxQuota;
 
     @track rows = [];
     @track isLoading = false;
@@ -12,8 +44,24 @@ export default class GroupBuyDiscountManager extends LightningElement {
     @track errorMsg = '';
     @track successMsg = '';
 
+    // Tier templates
+    @track templates = [];
+    @track selectedTemplateId = '';
+    @track showTemplateForm = false;
+    @track templateName = '';
+    @track templateDescription = '';
+    @track isApplyingTemplate = false;
+    @track isSavingTemplate = false;
+
+    // CSV import
+    @track showCsvImport = false;
+
     deletedRecordIds = [];
     wiredDiscountResult;
+    wiredTemplatesResult;
+    loadedContext = null;
+    // Rows differ from the saved tiers
+    isDirty = false;
 
     @wire(getDiscounts, { proposalId: '$recordId' })
     wiredDiscounts(result) {
@@ -22,8 +70,9 @@ export default class GroupBuyDiscountManager extends LightningElement {
             this.rows = result.data.map(item => ({
                 ...item,
                 key: item.Id,
-                discountDisplay: item.Discount__c ? (item.Discount__c * 100).toFixed(1) + '%' : '0%'
+                Discount_Type__c: item.Discount_Type__c || DISCOUNT_TYPE.PERCENT
             }));
+            this.isDirty = false;
             this.errorMsg = '';
         } else if (result.error) {
             this.errorMsg = 'Error loading discounts';
@@ -31,10 +80,37 @@ export default class GroupBuyDiscountManager extends LightningElement {
         }
     }
 
+    @wire(getTierContext, { proposalId: '$recordId' })
+    wiredTierContext({ data }) {
+        this.loadedContext = data || null;
+    }
+
+    @wire(getTemplates)
+    wiredTemplates(result) {
+        this.wiredTemplatesResult = result;
+        if (result.data) {
+            this.templates = result.data;
+        } else if (result.error) {
+            console.error(result.error);
+        }
+    }
+
     // ===============================
     // GETTERS
     // ===============================
 
+    get effectiveBasePrice() {
+        return this.pickContextValue(this.basePrice, 'Base_Price__c');
+    }
+
+    get effectiveMinQuota() {
+        return this.pickContextValue(this.minQuota, 'Min_Quota__c');
+    }
+
+    get effectiveMaxQuota() {
+        return this.pickContextValue(this.maxQuota, 'Max_Quota__c');
+    }
+
     get hasRows() {
         return this.rows.length > 0;
     }
@@ -47,13 +123,163 @@ export default class GroupBuyDiscountManager extends LightningElement {
         return this.isLoading || this.isSaving || this.rows.length === 0;
     }
 
-    get rowsWithIndex() {
-        return this.rows.map((row, index) => ({
-            ...row,
-            index,
-            tierNumber: index + 1,
-            discountPercent: row.Discount__c ? (row.Discount__c * 100).toFixed(1) : '0'
+    get templateOptions() {
+        return this.templates.map(template => ({
+            label: template.Description__c ? `${template.Name} (${template.Description__c})` : template.Name,
+            value: template.Id
+        }));
+    }
+
+    get hasTemplates() {
+        return this.templates.length > 0;
+    }
+
+    get isApplyTemplateDisabled() {
+        return !this.selectedTemplateId || this.isApplyingTemplate || this.isSaving;
+    }
+
+    get isSaveTemplateDisabled() {
+        return !this.templateName || this.templateName.trim() === '' || this.isSavingTemplate;
+    }
+
+    get discountTypeOptions() {
+        return getDiscountTypeOptions();
+    }
+
+    get hasBasePrice() {
+        return this.effectiveBasePrice !== null && this.effectiveBasePrice !== undefined;
+    }
+
+    get basePriceFormatted() {
+        return formatCurrency(this.effectiveBasePrice);
+    }
+
+    get tierIssues() {
+        return analyzeTiers(this.rows, {
+            Min_Quota__c: this.effectiveMinQuota,
+            Max_Quota__c: this.effectiveMaxQuota,
+            Base_Price__c: this.effectiveBasePrice
+        });
+    }
+
+    get analysisItems() {
+        return this.tierIssues.map((issue, index) => {
+            const isError = issue.severity === TIER_ISSUE_SEVERITY.ERROR;
+            return {
+                ...issue,
+                key: `${issue.type}-${index}`,
+                iconName: isError ? 'utility:error' : 'utility:warning',
+                iconVariant: isError ? 'error' : 'warning',
+                itemClass: isError ? 'analysis-item analysis-error' : 'analysis-item analysis-warning'
+            };
+        });
+    }
+
+    get hasAnalysisItems() {
+        return this.tierIssues.length > 0;
+    }
+
+    get analysisSummary() {
+        const errorCount = this.tierIssues.filter(issue => issue.severity === TIER_ISSUE_SEVERITY.ERROR).length;
+        const warningCount = this.tierIssues.length - errorCount;
+        return `${errorCount} error(s), ${warningCount} warning(s)`;
+    }
+
+    // Quantity ruler: tiers, uncovered ranges and the quota markers, positioned in percent of the ruler
+    get ruler() {
+        const tiers = this.rowsWithIndex
+            .filter(row => !isBlankValue(row.Min_Quota_For_Discount__c) && !isBlankValue(row.Max_Quota_Discount__c))
+            .map(row => ({
+                row,
+                min: Number(row.Min_Quota_For_Discount__c),
+                max: Number(row.Max_Quota_Discount__c)
+            }))
+            .filter(tier => tier.min <= tier.max)
+            .sort((a, b) => a.min - b.min);
+        if (tiers.length === 0) return null;
+
+        const minQuota = isBlankValue(this.effectiveMinQuota) ? null : Number(this.effectiveMinQuota);
+        const maxQuota = isBlankValue(this.effectiveMaxQuota) ? null : Number(this.effectiveMaxQuota);
+        const start = Math.min(tiers[0].min, minQuota !== null ? minQuota : tiers[0].min);
+        const end = Math.max(...tiers.map(tier => tier.max), maxQuota !== null ? maxQuota : 0);
+        const units = end - start + 1;
+
+        const position = (from, to) =>
+            `left: ${((from - start) / units) * 100}%; width: ${((to - from + 1) / units) * 100}%;`;
+
+        const segments = tiers.map(tier => ({
+            key: `tier-${tier.row.key}`,
+            className: tier.row.hasError ? 'ruler-segment ruler-tier ruler-tier-error' : 'ruler-segment ruler-tier',
+            style: position(tier.min, tier.max),
+            label: `T${tier.row.tierNumber}`,
+            title: `Tier ${tier.row.tierNumber}: ${tier.min}-${tier.max} units, ${tier.row.discountLabel}`
         }));
+
+        const bounds = [];
+        if (minQuota !== null && tiers[0].min > minQuota) {
+            bounds.push([minQuota, tiers[0].min - 1]);
+        }
+        tiers.slice(1).forEach((tier, i) => {
+            if (tier.min > tiers[i].max + 1) {
+                bounds.push([tiers[i].max + 1, tier.min - 1]);
+            }
+        });
+        if (maxQuota !== null && tiers[tiers.length - 1].max < maxQuota) {
+            bounds.push([tiers[tiers.length - 1].max + 1, maxQuota]);
+        }
+        bounds.forEach(([from, to]) => {
+            segments.push({
+                key: `gap-${from}`,
+                className: 'ruler-segment ruler-gap',
+                style: position(from, to),
+                label: '',
+                title: `Not covered: ${from}-${to} units`
+            });
+        });
+
+        const markers = [
+            { value: minQuota, label: 'Min' },
+            { value: maxQuota, label: 'Max' }
+        ]
+            .filter(marker => marker.value !== null)
+            .map(marker => ({
+                key: marker.label,
+                style: `left: ${((marker.value - start + (marker.label === 'Max' ? 1 : 0)) / units) * 100}%;`,
+                label: `${marker.label} ${marker.value}`
+            }));
+
+        return { segments, markers, startLabel: start, endLabel: end };
+    }
+
+    get rowsWithIndex() {
+        const errorIndexes = new Set(this.tierIssues
+            .filter(issue => issue.severity === TIER_ISSUE_SEVERITY.ERROR)
+            .map(issue => issue.tierIndex));
+
+        return this.rows.map((row, index) => {
+            const isPercent = row.Discount_Type__c === DISCOUNT_TYPE.PERCENT;
+            const valueField = getTierValueField(row.Discount_Type__c);
+            const value = row[valueField];
+
+            return {
+                ...row,
+                index,
+                tierNumber: index + 1,
+                valueField,
+                // Discount__c is already a whole-number percent (10 = 10%)
+                tierValue: value != null ? value : '',
+                valueLabel: isPercent ? 'Discount %' :
+                    (row.Discount_Type__c === DISCOUNT_TYPE.AMOUNT_OFF ? 'Amount Off per Unit' : 'Tier Unit Price'),
+                valueMax: isPercent ? 100 : this.effectiveBasePrice,
+                valueStep: isPercent ? '0.1' : '0.01',
+                valueFormatter: isPercent ? 'decimal' : 'currency',
+                hasValue: value !== null && value !== undefined && value !== '',
+                discountLabel: formatTierDiscount(row),
+                previewPrice: formatCurrency(getTierUnitPrice(row, this.effectiveBasePrice)),
+                hasError: errorIndexes.has(index),
+                cardClass: errorIndexes.has(index) ? 'tier-card tier-card-error' : 'tier-card'
+            };
+        });
     }
 
     // ===============================
@@ -67,9 +293,13 @@ export default class GroupBuyDiscountManager extends LightningElement {
             Group_Buy_Proposal__c: this.recordId,
             Min_Quota_For_Discount__c: null,
             Max_Quota_Discount__c: null,
-            Discount__c: null
+            Discount_Type__c: DISCOUNT_TYPE.PERCENT,
+            Discount__c: null,
+            Amount_Off__c: null,
+            Tier_Price__c: null
         };
         this.rows = [...this.rows, newRow];
+        this.isDirty = true;
         this.clearMessages();
     }
 
@@ -82,6 +312,7 @@ export default class GroupBuyDiscountManager extends LightningElement {
         }
 
         this.rows = this.rows.filter((_, i) => i !== index);
+        this.isDirty = true;
         this.clearMessages();
     }
 
@@ -90,9 +321,9 @@ export default class GroupBuyDiscountManager extends LightningElement {
         const field = event.target.dataset.field;
         let value = event.target.value;
 
-        // Convert percentage input to decimal for Discount__c
-        if (field === 'Discount__c' && value !== null && value !== '') {
-            value = parseFloat(value) / 100;
+        // Discount__c is saved as entered: a whole-number percent (10 = 10%)
+        if (NUMBER_FIELDS.includes(field) && value !== null && value !== '') {
+            value = parseFloat(value);
         }
 
         const updatedRows = [...this.rows];
@@ -101,9 +332,125 @@ export default class GroupBuyDiscountManager extends LightningElement {
             [field]: value
         };
         this.rows = updatedRows;
+        this.isDirty = true;
+        this.clearMessages();
+    }
+
+    // ===============================
+    // TEMPLATE HANDLERS
+    // ===============================
+
+    handleTemplateSelect(event) {
+        this.selectedTemplateId = event.detail.value;
+    }
+
+    // Replaces the rows with the template tiers scaled to the proposal; they are saved with Save All Discounts
+    async handleApplyTemplate() {
+        this.isApplyingTemplate = true;
+        this.clearMessages();
+
+        try {
+            const tiers = await previewTemplate({
+                templateId: this.selectedTemplateId,
+                proposalId: this.recordId
+            });
+
+            this.rows
+                .filter(row => row.Id)
+                .forEach(row => this.deletedRecordIds.push(row.Id));
+
+            const keyPrefix = Date.now();
+            this.rows = tiers.map((tier, index) => ({
+                ...tier,
+                key: `${keyPrefix}-${index}`,
+                Id: null,
+                Discount_Type__c: tier.Discount_Type__c || DISCOUNT_TYPE.PERCENT
+            }));
+            this.isDirty = true;
+            this.successMsg = 'Template applied. Review the tiers and save them.';
+        } catch (error) {
+            console.error(error);
+            this.errorMsg = reduceErrors(error, 'Error applying template');
+        } finally {
+            this.isApplyingTemplate = false;
+        }
+    }
+
+    handleToggleTemplateForm() {
+        this.showTemplateForm = !this.showTemplateForm;
+        this.templateName = '';
+        this.templateDescription = '';
+        this.clearMessages();
+    }
+
+    handleTemplateFieldChange(event) {
+        this[event.target.dataset.field] = event.target.value;
+    }
+
+    // Templates are saved from the saved tiers of the proposal
+    async handleSaveTemplate() {
+        if (this.isDirty) {
+            this.errorMsg = 'Save the discount tiers before saving them as a template.';
+            return;
+        }
+
+        this.isSavingTemplate = true;
+        this.clearMessages();
+
+        try {
+            await saveTemplate({
+                proposalId: this.recordId,
+                name: this.templateName,
+                description: this.templateDescription
+            });
+
+            this.successMsg = `Template "${this.templateName}" saved.`;
+            this.showTemplateForm = false;
+            await refreshApex(this.wiredTemplatesResult);
+        } catch (error) {
+            console.error(error);
+            this.errorMsg = reduceErrors(error, 'Error saving template');
+        } finally {
+            this.isSavingTemplate = false;
+        }
+    }
+
+    // ===============================
+    // CSV HANDLERS
+    // ===============================
+
+    // Exports the rows as edited, including unsaved changes
+    handleExportCsv() {
+        downloadCsv(`discount-tiers-${this.recordId}.csv`, tiersToCsv(this.rows));
+    }
+
+    handleToggleCsvImport() {
+        this.showCsvImport = !this.showCsvImport;
         this.clearMessages();
     }
 
+    // The import component checks the tiers with the same rules as validateData before dispatching them
+    async handleCsvImport(event) {
+        const { tiers, deletedIds } = event.detail;
+        const keyPrefix = Date.now();
+
+        this.deletedRecordIds.push(...deletedIds);
+        this.rows = tiers.map((tier, index) => ({
+            ...tier,
+            key: tier.Id || `${keyPrefix}-${index}`,
+            Group_Buy_Proposal__c: this.recordId
+        }));
+        this.isDirty = true;
+        this.showCsvImport = false;
+
+        await this.saveRows();
+    }
+
+    pickContextValue(input, field) {
+        if (!isBlankValue(input)) return input;
+        return this.loadedContext ? this.loadedContext[field] : null;
+    }
+
     clearMessages() {
         this.errorMsg = '';
         this.successMsg = '';
@@ -111,7 +458,7 @@ export default class GroupBuyDiscountManager extends LightningElement {
 
     validateData() {
         // Basic field validation
-        const allValid = [...this.template.querySelectorAll('lightning-input')]
+        const allValid = [...this.template.querySelectorAll('.tiers-container lightning-input')]
             .reduce((validSoFar, inputCmp) => {
                 inputCmp.reportValidity();
                 return validSoFar && inputCmp.checkValidity();
@@ -122,33 +469,27 @@ export default class GroupBuyDiscountManager extends LightningElement {
             return false;
         }
 
-        // Logic validation (Min <= Max)
+        // Logic validation (Min <= Max, values, base price)
         for (let row of this.rows) {
-            let min = Number(row.Min_Quota_For_Discount__c);
-            let max = Number(row.Max_Quota_Discount__c);
-
-            if (min > max) {
-                this.errorMsg = `Min Quota (${min}) cannot be greater than Max Quota (${max}).`;
+            const rowErrors = validateTierRow(row, this.effectiveBasePrice);
+            if (rowErrors.length > 0) {
+                this.errorMsg = rowErrors[0];
                 return false;
             }
         }
 
         // Overlap validation
-        let sortedRows = [...this.rows].sort((a, b) => {
-            return Number(a.Min_Quota_For_Discount__c) - Number(b.Min_Quota_For_Discount__c);
-        });
-
-        for (let i = 0; i < sortedRows.length - 1; i++) {
-            let current = sortedRows[i];
-            let next = sortedRows[i + 1];
-
-            let currentMax = Number(current.Max_Quota_Discount__c);
-            let nextMin = Number(next.Min_Quota_For_Discount__c);
+        const overlapError = getTierOverlapError(this.rows);
+        if (overlapError) {
+            this.errorMsg = overlapError;
+            return false;
+        }
 
-            if (currentMax >= nextMin) {
-                this.errorMsg = `Quota range overlap: [${current.Min_Quota_For_Discount__c}-${current.Max_Quota_Discount__c}] and [${next.Min_Quota_For_Discount__c}-${next.Max_Quota_Discount__c}]`;
-                return false;
-            }
+        // Tier analysis, enforced by GroupProposalDiscountTriggerHandler on save
+        const tierErrors = this.tierIssues.filter(issue => issue.severity === TIER_ISSUE_SEVERITY.ERROR);
+        if (tierErrors.length > 0) {
+            this.errorMsg = tierErrors.map(issue => issue.message).join(' ');
+            return false;
         }
 
         return true;
@@ -159,11 +500,21 @@ export default class GroupBuyDiscountManager extends LightningElement {
             return;
         }
 
+        await this.saveRows();
+    }
+
+    async saveRows() {
         this.isSaving = true;
         this.clearMessages();
 
+        // Only the value field of the tier type is kept; Discount__c of currency tiers is derived on save
         const recordsToSave = this.rows.map(row => {
-            const { key, discountDisplay, tierNumber, discountPercent, index, ...cleanRow } = row;
+            const { key, ...cleanRow } = row;
+            NUMBER_FIELDS
+                .filter(field => field !== getTierValueField(cleanRow.Discount_Type__c))
+                .forEach(field => {
+                    cleanRow[field] = null;
+                });
             return cleanRow;
         });
 
@@ -175,6 +526,7 @@ export default class GroupBuyDiscountManager extends LightningElement {
 
             this.successMsg = 'Discounts saved successfully!';
             this.deletedRecordIds = [];
+            this.isDirty = false;
             await refreshApex(this.wiredDiscountResult);
 
             // Auto-hide success message
@@ -184,7 +536,7 @@ export default class GroupBuyDiscountManager extends LightningElement {
 
         } catch (error) {
             console.error(error);
-            this.errorMsg = error.body ? error.body.message : error.message;
+            this.errorMsg = reduceErrors(error, 'Error saving discounts');
         } finally {
             this.isSaving = false;
         }
@@ -0,0 +1,85 @@
+import { subscribe, unsubscribe, isEmpEnabled } from 'lightning/empApi';
+import {
+    PROPOSAL_STATUS_CHANNEL,
+    PROPOSAL_QUOTA_CHANNEL,
+    subscribeToProposalChanges
+} from 'c/groupBuyLiveUpdates';
+
+jest.mock(
+    'lightning/empApi',
+    () => ({
+        subscribe: jest.fn(),
+        unsubscribe: jest.fn(),
+        onError: jest.fn(),
+        isEmpEnabled: jest.fn()
+    }),
+    { virtual: true }
+);
+
+describe('Group Buy Live Updates', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    it('subscribes to the status and quota channels when streaming is available', async () => {
+        // Arrange
+        const onChange = jest.fn();
+        const handlers = {};
+        isEmpEnabled.mockResolvedValue(true);
+        subscribe.mockImplementation((channel, replayId, callback) => {
+            handlers[channel] = callback;
+            return Promise.resolve({ channel });
+        });
+
+        // Act
+        const stop = await subscribeToProposalChanges(onChange);
+        handlers[PROPOSAL_QUOTA_CHANNEL]({
+            data: { payload: { Proposal_Id__c: 'a01000000000001AAA' } }
+        });
+        stop();
+
+        // Assert
+        expect(Object.keys(handlers)).toEqual([
+            PROPOSAL_STATUS_CHANNEL,
+            PROPOSAL_QUOTA_CHANNEL
+        ]);
+        expect(onChange).toHaveBeenCalledWith('a01000000000001AAA');
+        expect(unsubscribe).toHaveBeenCalledTimes(2);
+    });
+
+    it('polls when streaming is unavailable', async () => {
+        // Arrange
+        jest.useFakeTimers();
+        const onChange = jest.fn();
+        isEmpEnabled.mockResolvedValue(false);
+
+        // Act
+        const stop = await subscribeToProposalChanges(onChange, { pollInterval: 1000 });
+        jest.advanceTimersByTime(2500);
+        stop();
+        jest.advanceTimersByTime(2000);
+
+        // Assert
+        expect(subscribe).not.toHaveBeenCalled();
+        expect(onChange).toHaveBeenCalledTimes(2);
+        expect(onChange).toHaveBeenCalledWith(null);
+    });
+
+    it('falls back to polling when the subscription fails', async () => {
+        // Arrange
+        jest.useFakeTimers();
+        const onChange = jest.fn();
+        isEmpEnabled.mockResolvedValue(true);
+        subscribe.mockRejectedValue(new Error('Channel not found'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        // Act
+        const stop = await subscribeToProposalChanges(onChange, { pollInterval: 1000 });
+        jest.advanceTimersByTime(1000);
+        stop();
+
+        // Assert
+        expect(onChange).toHaveBeenCalledWith(null);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * A internal module that notifies group buy components about proposal status and quota changes.
+ *
+ * Uses lightning/empApi (Proposal_Status_Event__e and Proposal_Quota_Event__e) where the
+ * streaming API is available, and falls back to polling where it is not, e.g. in
+ * Experience Cloud sites.
+ */
+import { subscribe, unsubscribe, onError, isEmpEnabled } from 'lightning/empApi';
+
+export const PROPOSAL_STATUS_CHANNEL = '/event/Proposal_Status_Event__e';
+export const PROPOSAL_QUOTA_CHANNEL = '/event/Proposal_Quota_Event__e';
+export const DEFAULT_POLL_INTERVAL = 15000;
+
+// Replay only new events
+const REPLAY_ID = -1;
+
+let isErrorListenerRegistered = false;
+
+/**
+ * Starts listening for proposal changes.
+ *
+ * @param {Function} onChange called with the changed proposal Id for streamed events,
+ *                            or with null on each polling tick (the caller should refresh all of its proposals)
+ * @param {Object} [options]
+ * @param {number} [options.pollInterval] polling interval in milliseconds when streaming is unavailable
+ * @returns {Promise<Function>} resolves to a function that stops listening
+ */
+export async function subscribeToProposalChanges(
+    onChange,
+    { pollInterval = DEFAULT_POLL_INTERVAL } = {}
+) {
+    if (await isStreamingAvailable()) {
+        try {
+            return await subscribeToChannels(onChange);
+        } catch (error) {
+            console.warn('Proposal events unavailable, falling back to polling', error);
+        }
+    }
+    return startPolling(onChange, pollInterval);
+}
+
+async function isStreamingAvailable() {
+    try {
+        return await isEmpEnabled();
+    } catch (error) {
+        return false;
+    }
+}
+
+async function subscribeToChannels(onChange) {
+    if (!isErrorListenerRegistered) {
+        onError((error) => console.error('Proposal event streaming error:', error));
+        isErrorListenerRegistered = true;
+    }
+
+    const handleMessage = (message) => {
+        const payload = message && message.data && message.data.payload;
+        if (payload && payload.Proposal_Id__c) {
+            onChange(payload.Proposal_Id__c);
+        }
+    };
+
+    const subscriptions = await Promise.all(
+        [PROPOSAL_STATUS_CHANNEL, PROPOSAL_QUOTA_CHANNEL].map((channel) =>
+            subscribe(channel, REPLAY_ID, handleMessage)
+        )
+    );
+
+    return () => {
+        subscriptions
+            .filter(Boolean)
+            .forEach((subscription) => unsubscribe(subscription, () => {}));
+    };
+}
+
+function startPolling(onChange, pollInterval) {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    const timer = setInterval(() => {
+        // Skip ticks while the tab is in the background
+        if (typeof document !== 'undefined' && document.hidden) {
+            return;
+        }
+        onChange(null);
+    }, pollInterval);
+
+    return () => clearInterval(timer);
+}
@@ -0,0 +1,35 @@
+import { DEFAULT_ANALYTICS_DAYS, getDefaultAnalyticsRange, getBookingSeries } from '../analyticsSeries';
+
+describe('Group Buy Proposal Analytics: Analytics Series', () => {
+    it('defaults to the last days up to today', () => {
+        // Act
+        const range = getDefaultAnalyticsRange(new Date(2026, 2, 31));
+
+        // Assert
+        expect(DEFAULT_ANALYTICS_DAYS).toBe(90);
+        expect(range).toEqual({ startDate: '2026-01-01', endDate: '2026-03-31' });
+    });
+
+    it('fills in the days without bookings and sums them up', () => {
+        // Arrange
+        const bookings = [
+            { bookingDate: '2026-03-01', quantity: 10, orderCount: 2 },
+            { bookingDate: '2026-03-04', quantity: 5, orderCount: 1 }
+        ];
+
+        // Act
+        const series = getBookingSeries(bookings);
+
+        // Assert
+        expect(series.labels).toHaveLength(4);
+        expect(series.labels[0]).toBe('Mar 1, 2026');
+        expect(series.quantities).toEqual([10, 0, 0, 5]);
+        expect(series.cumulative).toEqual([10, 10, 10, 15]);
+    });
+
+    it('returns empty series without bookings', () => {
+        // Assert
+        expect(getBookingSeries([])).toEqual({ labels: [], quantities: [], cumulative: [] });
+        expect(getBookingSeries(null)).toEqual({ labels: [], quantities: [], cumulative: [] });
+    });
+});
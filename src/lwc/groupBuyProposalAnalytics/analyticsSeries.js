@@ -0,0 +1,55 @@
+/**
+ * Chart data of the proposal analytics tab (ProposalAnalyticsController.getProposalAnalytics).
+ */
+import { parseDate, toIsoDate, formatDate } from 'c/groupBuyCore';
+
+/**
+ * Number of days of the analytics date range selected by default
+ */
+export const DEFAULT_ANALYTICS_DAYS = 90;
+
+/**
+ * Default date range of the proposal analytics: the last DEFAULT_ANALYTICS_DAYS days, up to today
+ *
+ * @param {Date} [today=new Date()]
+ * @returns {{startDate: string, endDate: string}} dates as YYYY-MM-DD
+ */
+export function getDefaultAnalyticsRange(today = new Date()) {
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - DEFAULT_ANALYTICS_DAYS + 1);
+    return { startDate: toIsoDate(start), endDate: toIsoDate(today) };
+}
+
+/**
+ * Daily booking series of the analytics charts, with the days without bookings filled in
+ * so the time axis is even
+ *
+ * @param {Array<{bookingDate: string, quantity: number}>} bookings by ascending date
+ * @returns {{labels: Array<string>, quantities: Array<number>, cumulative: Array<number>}}
+ *          one entry per day from the first to the last booking
+ */
+export function getBookingSeries(bookings) {
+    const series = { labels: [], quantities: [], cumulative: [] };
+    const quantityByDay = new Map();
+    (bookings || []).forEach(booking => {
+        const date = parseDate(booking.bookingDate);
+        if (date) {
+            const day = toIsoDate(date);
+            quantityByDay.set(day, (quantityByDay.get(day) || 0) + (Number(booking.quantity) || 0));
+        }
+    });
+    if (quantityByDay.size === 0) {
+        return series;
+    }
+
+    const days = [...quantityByDay.keys()].sort();
+    const last = days[days.length - 1];
+    let total = 0;
+    for (let date = parseDate(days[0]); toIsoDate(date) <= last; date.setDate(date.getDate() + 1)) {
+        const quantity = quantityByDay.get(toIsoDate(date)) || 0;
+        total += quantity;
+        series.labels.push(formatDate(date));
+        series.quantities.push(quantity);
+        series.cumulative.push(total);
+    }
+    return series;
+}
@@ -0,0 +1,248 @@
+import { LightningElement, api, track } from 'lwc';
+import { loadScript } from 'lightning/platformResourceLoader';
+import CHARTJS from '@salesforce/resourceUrl/chartjs';
+import getProposalAnalytics from '@salesforce/apex/ProposalAnalyticsController.getProposalAnalytics';
+import { formatCurrency, reduceErrors } from 'c/groupBuyCore';
+import { getDefaultAnalyticsRange, getBookingSeries } from './analyticsSeries';
+
+const COLOR_BRAND = '#0176d3';
+const COLOR_SUCCESS = '#2e844a';
+const COLOR_ERROR = '#c23934';
+const COLOR_NEUTRAL = '#c9c9c9';
+
+export default class GroupBuyProposalAnalytics extends LightningElement {
+    @api accountId;
+
+    _refreshKey = 0;
+    @api
+    get refreshKey() {
+        return this._refreshKey;
+    }
+    set refreshKey(value) {
+        this._refreshKey = value;
+        if (this._initialized) {
+            this.loadAnalytics();
+        }
+    }
+
+    @track analytics = null;
+    @track startDate;
+    @track endDate;
+    @track isLoading = false;
+    @track errorMsg = '';
+    _initialized = false;
+
+    // Chart.js is loaded once, the charts are drawn after each render with new analytics
+    chartJsRequested = false;
+    chartJsLoaded = false;
+    chartsDirty = false;
+    charts = [];
+
+    connectedCallback() {
+        const range = getDefaultAnalyticsRange();
+        this.startDate = range.startDate;
+        this.endDate = range.endDate;
+        this._initialized = true;
+        this.loadAnalytics();
+    }
+
+    renderedCallback() {
+        if (!this.chartJsRequested) {
+            this.chartJsRequested = true;
+            loadScript(this, CHARTJS)
+                .then(() => {
+                    this.chartJsLoaded = true;
+                    this.renderCharts();
+                })
+                .catch(error => {
+                    this.errorMsg = reduceErrors(error, 'Failed to load the charts');
+                });
+        }
+        if (this.chartsDirty) {
+            this.renderCharts();
+        }
+    }
+
+    disconnectedCallback() {
+        this.destroyCharts();
+    }
+
+    async loadAnalytics() {
+        if (!this.startDate || !this.endDate) {
+            return;
+        }
+        this.isLoading = true;
+        this.errorMsg = '';
+        try {
+            this.analytics = await getProposalAnalytics({
+                accountId: this.accountId,
+                startDate: this.startDate,
+                endDate: this.endDate
+            });
+            this.destroyCharts();
+            this.chartsDirty = this.hasProposals;
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to load analytics');
+            this.analytics = null;
+            this.destroyCharts();
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ===============================
+    // CHARTS
+    // ===============================
+
+    renderCharts() {
+        if (!this.chartJsLoaded || !this.analytics) {
+            return;
+        }
+        // Canvases are rendered with the analytics; wait for the next render otherwise
+        const bookingsCanvas = this.template.querySelector('canvas.bookings-chart');
+        const conversionCanvas = this.template.querySelector('canvas.conversion-chart');
+        const tiersCanvas = this.template.querySelector('canvas.tiers-chart');
+        if (!bookingsCanvas || !conversionCanvas || !tiersCanvas) {
+            return;
+        }
+        this.chartsDirty = false;
+        this.destroyCharts();
+
+        const series = getBookingSeries(this.analytics.bookings);
+        const { reachedCount, expiredCount, activeCount, tierDistribution } = this.analytics;
+        const Chart = window.Chart;
+
+        this.charts = [
+            new Chart(bookingsCanvas.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: series.labels,
+                    datasets: [
+                        {
+                            type: 'line',
+                            label: 'Total booked',
+                            data: series.cumulative,
+                            borderColor: COLOR_SUCCESS,
+                            backgroundColor: COLOR_SUCCESS,
+                            yAxisID: 'total',
+                            tension: 0.2,
+                            pointRadius: 0
+                        },
+                        {
+                            label: 'Booked per day',
+                            data: series.quantities,
+                            backgroundColor: COLOR_BRAND,
+                            yAxisID: 'daily'
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    scales: {
+                        daily: { position: 'left', beginAtZero: true, title: { display: true, text: 'Units per day' } },
+                        total: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'Total units' } }
+                    }
+                }
+            }),
+            new Chart(conversionCanvas.getContext('2d'), {
+                type: 'doughnut',
+                data: {
+                    labels: ['Min quota reached', 'Expired', 'Active'],
+                    datasets: [{
+                        data: [reachedCount, expiredCount, activeCount],
+                        backgroundColor: [COLOR_SUCCESS, COLOR_ERROR, COLOR_NEUTRAL]
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { position: 'bottom' } }
+                }
+            }),
+            new Chart(tiersCanvas.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: tierDistribution.map(bucket => bucket.label),
+                    datasets: [{
+                        label: 'Proposals',
+                        data: tierDistribution.map(bucket => bucket.proposalCount),
+                        backgroundColor: tierDistribution.map((bucket, index) => (index === 0 ? COLOR_NEUTRAL : COLOR_BRAND))
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { display: false } },
+                    scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+                }
+            })
+        ];
+    }
+
+    destroyCharts() {
+        this.charts.forEach(chart => chart.destroy());
+        this.charts = [];
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get hasProposals() {
+        return !!this.analytics && this.analytics.proposalCount > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.errorMsg && !!this.analytics && !this.hasProposals;
+    }
+
+    get noBookings() {
+        return this.analytics.bookings.length === 0;
+    }
+
+    get noStatusCounts() {
+        const { reachedCount, expiredCount, activeCount } = this.analytics;
+        return reachedCount + expiredCount + activeCount === 0;
+    }
+
+    get noTierDistribution() {
+        return this.analytics.tierDistribution.length === 0;
+    }
+
+    get conversionLabel() {
+        const rate = this.analytics.conversionRate;
+        return rate === null || rate === undefined ? '—' : `${rate}%`;
+    }
+
+    get conversionHint() {
+        const { reachedCount, expiredCount } = this.analytics;
+        return `${reachedCount} of ${reachedCount + expiredCount} ended proposals`;
+    }
+
+    get averageOrderLabel() {
+        const size = this.analytics.averageOrderSize;
+        return size === null || size === undefined ? '—' : `${size} units`;
+    }
+
+    get revenueLabel() {
+        return formatCurrency(this.analytics.totalRevenue);
+    }
+
+    get isRangeInvalid() {
+        return !this.startDate || !this.endDate || this.startDate > this.endDate;
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleDateChange(event) {
+        this[event.target.dataset.field] = event.target.value;
+    }
+
+    handleApply() {
+        this.loadAnalytics();
+    }
+}
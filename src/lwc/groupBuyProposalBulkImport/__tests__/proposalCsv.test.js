@@ -0,0 +1,90 @@
+import { PROPOSAL_STATUS, PROPOSAL_TYPE, DISCOUNT_TYPE } from 'c/groupBuyCore';
+import {
+    PROPOSAL_CSV_COLUMNS,
+    parseTierList,
+    guessProposalCsvMapping,
+    mapProposalCsvRows,
+    validateProposalCsvRow
+} from '../proposalCsv';
+
+describe('Group Buy Proposal Bulk Import: Proposal CSV', () => {
+    const headers = PROPOSAL_CSV_COLUMNS.map(column => column.label);
+    const line = [
+        'SKU-001', 'Summer Bundle', 'immediate payment', '$100', '10', '100', '', '20',
+        '2027-06-01T09:00', '2027-06-30T18:00', '2027-07-15', 'Summer bundle group buy', '10-49:5%; 50-79:-20; 80-100:70'
+    ];
+    const product = { Id: '01t000000000001', Name: 'Bundle', ProductCode: 'SKU-001' };
+
+    it('reads a tier list', () => {
+        // Act
+        const { tiers, errors } = parseTierList('10-49:5%; 50-79:-20;; 80-100:70; 101+:5%');
+
+        // Assert
+        expect(tiers.map(tier => tier.Discount_Type__c)).toEqual([
+            DISCOUNT_TYPE.PERCENT, DISCOUNT_TYPE.AMOUNT_OFF, DISCOUNT_TYPE.PRICE_POINT
+        ]);
+        expect(tiers[0]).toMatchObject({ Min_Quota_For_Discount__c: 10, Max_Quota_Discount__c: 49, Discount__c: 5 });
+        expect(tiers[1].Amount_Off__c).toBe(20);
+        expect(tiers[2].Tier_Price__c).toBe(70);
+        expect(errors).toEqual(['Tier "101+:5%" must look like 10-29:5%, 10-29:-20 or 10-29:85.']);
+        expect(parseTierList('')).toEqual({ tiers: [], errors: [] });
+    });
+
+    it('maps a proposal line', () => {
+        // Act
+        const [row] = mapProposalCsvRows([line], guessProposalCsvMapping(headers));
+
+        // Assert
+        expect(row.csvLine).toBe(2);
+        expect(row.productCode).toBe('SKU-001');
+        expect(row.proposal).toMatchObject({
+            Name: 'Summer Bundle',
+            Status__c: PROPOSAL_STATUS.CREATED,
+            Type__c: PROPOSAL_TYPE.IMMEDIATE_PAYMENT,
+            Base_Price__c: 100,
+            Min_Quantity_Per_Account__c: null,
+            Max_Quantity_Per_Account__c: 20,
+            Approximate_Deliver_Start_Date__c: '2027-07-15'
+        });
+        expect(new Date(row.proposal.Start_Date__c).getTime()).toBe(new Date('2027-06-01T09:00').getTime());
+        expect(row.tiers).toHaveLength(3);
+        expect(validateProposalCsvRow(row, product)).toEqual([]);
+    });
+
+    it('reports unknown products and invalid values', () => {
+        // Arrange
+        const invalid = [...line];
+        invalid[2] = 'Later';
+        invalid[4] = 'ten';
+        invalid[9] = 'someday';
+        const [row] = mapProposalCsvRows([invalid], guessProposalCsvMapping(headers));
+
+        // Act
+        const errors = validateProposalCsvRow(row, null);
+
+        // Assert
+        expect(errors).toEqual([
+            'No product found with code SKU-001.',
+            'Min Quota (ten) must be a number.',
+            'End Date (someday) is not a valid date.',
+            'Type (Later) must be one of: Immediate Payment, Payment After Reach Quota.'
+        ]);
+    });
+
+    it('checks the proposal rules and its tiers', () => {
+        // Arrange
+        const invalid = [...line];
+        invalid[11] = '';
+        invalid[12] = '10-49:5%; 40-100:-150';
+        const [row] = mapProposalCsvRows([invalid], guessProposalCsvMapping(headers));
+
+        // Act
+        const errors = validateProposalCsvRow(row, product);
+
+        // Assert
+        expect(errors).toEqual([
+            'Please fill in all required fields: Description',
+            'Tier 2: Tier amount ($150.00) cannot exceed the base price ($100.00).'
+        ]);
+    });
+});
@@ -0,0 +1,299 @@
+import { LightningElement, api, track } from 'lwc';
+import getProductsByCodes from '@salesforce/apex/GroupBuyProposalController.getProductsByCodes';
+import createGroupBuyProposals from '@salesforce/apex/GroupBuyProposalController.createGroupBuyProposals';
+import { PROPOSAL_TYPE, formatCurrency, formatDateTime, reduceErrors } from 'c/groupBuyCore';
+import { parseCsv, toCsv, downloadCsv } from 'c/groupBuyCsv';
+import {
+    PROPOSAL_CSV_COLUMNS,
+    guessProposalCsvMapping,
+    mapProposalCsvRows,
+    validateProposalCsvRow
+} from './proposalCsv';
+
+const STEP = {
+    UPLOAD: 'upload',
+    MAP: 'map',
+    PREVIEW: 'preview',
+    RESULT: 'result'
+};
+
+const NOT_MAPPED = '-1';
+
+// Header and example line of the downloadable template
+const TEMPLATE_EXAMPLE = {
+    ProductCode: 'SKU-001',
+    Name: 'Summer Bundle',
+    Type__c: PROPOSAL_TYPE.PAYMENT_AFTER_REACH_QUOTA,
+    Base_Price__c: 100,
+    Min_Quota__c: 10,
+    Max_Quota__c: 100,
+    Min_Quantity_Per_Account__c: 1,
+    Max_Quantity_Per_Account__c: 20,
+    Start_Date__c: '2027-06-01T09:00',
+    End_Date__c: '2027-06-30T18:00',
+    Approximate_Deliver_Start_Date__c: '2027-07-15',
+    Description__c: 'Summer bundle group buy',
+    Tiers: '10-49:5%; 50-100:85'
+};
+
+/**
+ * Creates proposals in bulk from a CSV file, one proposal per line: column mapping, then a preview
+ * with the errors of each line, checked with the rules of groupBuyProposalCreator. Products are
+ * resolved by their ProductCode. The proposals and their tiers are created in one transaction:
+ * when a line fails on save, none is created and the report shows the errors of each line.
+ */
+export default class GroupBuyProposalBulkImport extends LightningElement {
+    @api accountId;
+
+    @track step = STEP.UPLOAD;
+    @track fileName = '';
+    @track headers = [];
+    @track lines = [];
+    @track mapping = {};
+    @track productsByCode = {};
+    @track results = [];
+    @track isLoading = false;
+    @track errorMsg = '';
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get isUploadStep() {
+        return this.step === STEP.UPLOAD;
+    }
+
+    get isMapStep() {
+        return this.step === STEP.MAP;
+    }
+
+    get isPreviewStep() {
+        return this.step === STEP.PREVIEW;
+    }
+
+    get isResultStep() {
+        return this.step === STEP.RESULT;
+    }
+
+    get headerOptions() {
+        return [
+            { label: '-- Not mapped --', value: NOT_MAPPED },
+            ...this.headers.map((header, index) => ({ label: header || `Column ${index + 1}`, value: String(index) }))
+        ];
+    }
+
+    get mappingFields() {
+        return PROPOSAL_CSV_COLUMNS.map(column => ({
+            fieldName: column.fieldName,
+            label: column.label,
+            value: String(this.mapping[column.fieldName])
+        }));
+    }
+
+    get isPreviewDisabled() {
+        return this.mapping.ProductCode < 0 || this.mapping.Name < 0;
+    }
+
+    get importedRows() {
+        return mapProposalCsvRows(this.lines, this.mapping);
+    }
+
+    get preview() {
+        const rows = this.importedRows.map(row => {
+            const product = this.getProduct(row.productCode);
+            const errors = validateProposalCsvRow(row, product);
+            return {
+                key: `line-${row.csvLine}`,
+                csvLine: row.csvLine,
+                name: row.proposal.Name,
+                productLabel: product ? `${product.Name} (${product.ProductCode})` : row.productCode,
+                quotaLabel: `${row.proposal.Min_Quota__c}-${row.proposal.Max_Quota__c}`,
+                priceLabel: formatCurrency(row.proposal.Base_Price__c),
+                datesLabel: `${formatDateTime(row.proposal.Start_Date__c)} → ${formatDateTime(row.proposal.End_Date__c)}`,
+                tierCount: row.tiers.length,
+                errors: errors.map((message, i) => ({ key: `${row.csvLine}-${i}`, message })),
+                hasErrors: errors.length > 0,
+                rowClass: errors.length > 0 ? 'preview-row preview-row-error' : 'preview-row'
+            };
+        });
+
+        const errorCount = rows.filter(row => row.hasErrors).length;
+        return {
+            rows,
+            errorCount,
+            summary: errorCount > 0
+                ? `${rows.length} proposals, ${errorCount} with errors`
+                : `${rows.length} proposals ready to create`
+        };
+    }
+
+    get isCreateDisabled() {
+        return this.isLoading || this.lines.length === 0 || this.preview.errorCount > 0;
+    }
+
+    get createLabel() {
+        return `Create ${this.lines.length} Proposals`;
+    }
+
+    get resultRows() {
+        const rows = this.importedRows;
+        const hasFailures = this.results.some(result => !result.success);
+        return this.results.map(result => {
+            const row = rows[result.rowIndex];
+            let statusLabel = 'Created';
+            let statusClass = 'diff-badge diff-insert';
+            if (result.errors.length > 0) {
+                statusLabel = 'Failed';
+                statusClass = 'diff-badge diff-delete';
+            } else if (!result.success) {
+                statusLabel = 'Not created';
+                statusClass = 'diff-badge diff-unchanged';
+            }
+            return {
+                key: `result-${result.rowIndex}`,
+                csvLine: row ? row.csvLine : result.rowIndex + 2,
+                name: result.name,
+                statusLabel,
+                statusClass,
+                errors: result.errors.map((message, i) => ({ key: `${result.rowIndex}-${i}`, message })),
+                hasErrors: result.errors.length > 0,
+                rowClass: hasFailures && result.errors.length > 0 ? 'preview-row preview-row-error' : 'preview-row'
+            };
+        });
+    }
+
+    get resultSummary() {
+        const failed = this.results.filter(result => result.errors.length > 0).length;
+        if (failed > 0) {
+            return `No proposal was created: ${failed} of ${this.results.length} lines failed. Fix them and import the file again.`;
+        }
+        return `${this.results.length} proposals created.`;
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleDownloadTemplate() {
+        downloadCsv('proposal-import-template.csv', toCsv(PROPOSAL_CSV_COLUMNS, [TEMPLATE_EXAMPLE]));
+    }
+
+    handleFileChange(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+
+        this.errorMsg = '';
+        this.fileName = file.name;
+
+        const reader = new FileReader();
+        reader.onload = () => this.loadCsv(reader.result);
+        reader.onerror = () => {
+            this.errorMsg = `Could not read ${file.name}.`;
+        };
+        reader.readAsText(file);
+    }
+
+    loadCsv(text) {
+        const [headers, ...lines] = parseCsv(text);
+        if (!headers || lines.length === 0) {
+            this.errorMsg = 'The file needs a header line and at least one proposal.';
+            return;
+        }
+
+        this.headers = headers;
+        this.lines = lines;
+        this.mapping = guessProposalCsvMapping(headers);
+        this.step = STEP.MAP;
+    }
+
+    handleMappingChange(event) {
+        this.mapping = {
+            ...this.mapping,
+            [event.target.dataset.field]: parseInt(event.detail.value, 10)
+        };
+    }
+
+    async handleShowPreview() {
+        this.isLoading = true;
+        this.errorMsg = '';
+        try {
+            await this.resolveProducts();
+            this.step = STEP.PREVIEW;
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to look up the products');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async resolveProducts() {
+        const codes = [...new Set(this.importedRows
+            .map(row => row.productCode.toLowerCase())
+            .filter(code => code !== '' && !(code in this.productsByCode)))];
+
+        if (codes.length === 0) return;
+
+        const found = await getProductsByCodes({ productCodes: codes });
+
+        // Codes without product stay null so they are not looked up again
+        const productsByCode = { ...this.productsByCode };
+        codes.forEach(code => {
+            productsByCode[code] = found.find(product =>
+                product.ProductCode && product.ProductCode.toLowerCase() === code) || null;
+        });
+        this.productsByCode = productsByCode;
+    }
+
+    getProduct(productCode) {
+        return this.productsByCode[(productCode || '').toLowerCase()] || null;
+    }
+
+    handleBackToMapping() {
+        this.step = STEP.MAP;
+    }
+
+    async handleCreate() {
+        const proposals = this.importedRows.map(row => ({
+            ...row.proposal,
+            Product__c: this.getProduct(row.productCode).Id,
+            Account__c: this.accountId,
+            tiers: row.tiers
+        }));
+
+        this.isLoading = true;
+        this.errorMsg = '';
+        try {
+            this.results = await createGroupBuyProposals({ proposalsData: JSON.stringify(proposals) });
+            this.step = STEP.RESULT;
+
+            if (this.results.every(result => result.success)) {
+                this.dispatchEvent(new CustomEvent('created', {
+                    detail: { count: this.results.length }
+                }));
+            }
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to create the proposals');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleCancel() {
+        this.reset();
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    handleImportAnother() {
+        this.reset();
+    }
+
+    reset() {
+        this.step = STEP.UPLOAD;
+        this.fileName = '';
+        this.headers = [];
+        this.lines = [];
+        this.mapping = {};
+        this.results = [];
+        this.errorMsg = '';
+    }
+}
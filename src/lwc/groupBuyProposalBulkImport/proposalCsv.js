@@ -0,0 +1,224 @@
+/**
+ * Reads the proposals of a bulk import CSV, one proposal per line. Products are referenced by their
+ * ProductCode; tiers are optional and listed in a single column, e.g. "10-29:5%; 30-49:-20; 50-100:85"
+ * for a percent, an amount off (negative) and a tier price.
+ */
+import {
+    PROPOSAL_STATUS,
+    PROPOSAL_TYPE,
+    DISCOUNT_TYPE,
+    TIER_ISSUE_SEVERITY,
+    isBlank,
+    parseDate,
+    toIsoDate,
+    validateProposal,
+    analyzeTiers
+} from 'c/groupBuyCore';
+import {
+    normalizeCsvHeader,
+    guessCsvMapping,
+    readCsvValue,
+    toCsvNumber,
+    getTierValueField,
+    validateTierRow,
+    getTierOverlapError
+} from 'c/groupBuyCsv';
+
+/**
+ * Columns of a bulk proposal CSV
+ */
+export const PROPOSAL_CSV_COLUMNS = Object.freeze([
+    { label: 'Product Code', fieldName: 'ProductCode' },
+    { label: 'Name', fieldName: 'Name' },
+    { label: 'Type', fieldName: 'Type__c' },
+    { label: 'Base Price', fieldName: 'Base_Price__c' },
+    { label: 'Min Quota', fieldName: 'Min_Quota__c' },
+    { label: 'Max Quota', fieldName: 'Max_Quota__c' },
+    { label: 'Min Quantity Per Account', fieldName: 'Min_Quantity_Per_Account__c' },
+    { label: 'Max Quantity Per Account', fieldName: 'Max_Quantity_Per_Account__c' },
+    { label: 'Start Date', fieldName: 'Start_Date__c' },
+    { label: 'End Date', fieldName: 'End_Date__c' },
+    { label: 'Delivery Start Date', fieldName: 'Approximate_Deliver_Start_Date__c' },
+    { label: 'Description', fieldName: 'Description__c' },
+    { label: 'Tiers', fieldName: 'Tiers' }
+]);
+
+const PROPOSAL_CSV_NUMBER_FIELDS = Object.freeze([
+    'Base_Price__c',
+    'Min_Quota__c',
+    'Max_Quota__c',
+    'Min_Quantity_Per_Account__c',
+    'Max_Quantity_Per_Account__c'
+]);
+
+const DATE_ONLY_REGEXP = /^\d{4}-\d{2}-\d{2}$/;
+const TIER_LIST_ITEM_REGEXP = /^(\S+?)\s*-\s*(\S+?)\s*:\s*(\S+)$/;
+
+function getProposalCsvLabel(fieldName) {
+    return PROPOSAL_CSV_COLUMNS.find(column => column.fieldName === fieldName).label;
+}
+
+function toProposalType(value) {
+    if (isBlank(value)) return '';
+    const type = Object.values(PROPOSAL_TYPE).find(item => normalizeCsvHeader(item) === normalizeCsvHeader(value));
+    // Unknown types are kept as entered and reported by validateProposalCsvRow
+    return type || value;
+}
+
+function toCsvDateTime(value) {
+    if (isBlank(value)) return null;
+    const date = parseDate(value);
+    // Invalid dates are kept as entered and reported by validateProposalCsvRow
+    return date ? date.toISOString() : value;
+}
+
+function toCsvDate(value) {
+    if (isBlank(value)) return null;
+    if (DATE_ONLY_REGEXP.test(value)) return value;
+    const date = parseDate(value);
+    return date ? toIsoDate(date) : value;
+}
+
+/**
+ * Reads a tier list such as "10-29:5%; 30-49:-20; 50-100:85": a value ending with % is a percent,
+ * a negative value an amount off and any other value a tier price
+ *
+ * @param {string} text
+ * @returns {{tiers: Array<object>, errors: Array<string>}} Group_Proposal_Discount__c values and
+ *          the items that could not be read
+ */
+export function parseTierList(text) {
+    const tiers = [];
+    const errors = [];
+
+    String(text || '').split(';').map(item => item.trim()).filter(item => item !== '').forEach(item => {
+        const match = TIER_LIST_ITEM_REGEXP.exec(item);
+        if (!match) {
+            errors.push(`Tier "${item}" must look like 10-29:5%, 10-29:-20 or 10-29:85.`);
+            return;
+        }
+
+        const value = match[3];
+        let type = DISCOUNT_TYPE.PRICE_POINT;
+        let amount = value;
+        if (value.endsWith('%')) {
+            type = DISCOUNT_TYPE.PERCENT;
+            amount = value.slice(0, -1);
+        } else if (value.startsWith('-')) {
+            type = DISCOUNT_TYPE.AMOUNT_OFF;
+            amount = value.slice(1);
+        }
+
+        const tier = {
+            Min_Quota_For_Discount__c: toCsvNumber(match[1]),
+            Max_Quota_Discount__c: toCsvNumber(match[2]),
+            Discount_Type__c: type,
+            Discount__c: null,
+            Amount_Off__c: null,
+            Tier_Price__c: null
+        };
+        tier[getTierValueField(type)] = toCsvNumber(amount);
+        tiers.push(tier);
+    });
+
+    return { tiers, errors };
+}
+
+/**
+ * Guesses the column of each proposal field from the CSV headers, by column label or API name
+ *
+ * @param {Array<string>} headers the first line of the CSV
+ * @returns {Object<string, number>} column index by field name; -1 when no column matches
+ */
+export function guessProposalCsvMapping(headers) {
+    return guessCsvMapping(PROPOSAL_CSV_COLUMNS, headers);
+}
+
+/**
+ * Reads proposals from CSV lines
+ *
+ * @param {Array<Array<string>>} lines the CSV lines without the header
+ * @param {Object<string, number>} mapping column index by field name, as returned by guessProposalCsvMapping
+ * @returns {Array<{csvLine: number, productCode: string, proposal: object, tiers: Array<object>, tierErrors: Array<string>}>}
+ *          csvLine is the 1-based CSV line number, header included; proposals start in the Created status
+ */
+export function mapProposalCsvRows(lines, mapping) {
+    const read = (line, fieldName) => readCsvValue(line, mapping, fieldName);
+
+    return (lines || []).map((line, index) => {
+        const proposal = {
+            Name: read(line, 'Name'),
+            Description__c: read(line, 'Description__c'),
+            Status__c: PROPOSAL_STATUS.CREATED,
+            Type__c: toProposalType(read(line, 'Type__c')),
+            Start_Date__c: toCsvDateTime(read(line, 'Start_Date__c')),
+            End_Date__c: toCsvDateTime(read(line, 'End_Date__c')),
+            Approximate_Deliver_Start_Date__c: toCsvDate(read(line, 'Approximate_Deliver_Start_Date__c'))
+        };
+        PROPOSAL_CSV_NUMBER_FIELDS.forEach(field => {
+            proposal[field] = toCsvNumber(read(line, field));
+        });
+
+        const { tiers, errors } = parseTierList(read(line, 'Tiers'));
+        return {
+            csvLine: index + 2,
+            productCode: read(line, 'ProductCode'),
+            proposal,
+            tiers,
+            tierErrors: errors
+        };
+    });
+}
+
+/**
+ * Checks a proposal read from a CSV line: its values, the rules of groupBuyProposalCreator
+ * (see validateProposal) and its discount tiers
+ *
+ * @param {object} row as returned by mapProposalCsvRows
+ * @param {object} [product] the Product2 matching the product code of the row
+ * @returns {Array<string>} the error messages; empty when the proposal can be created
+ */
+export function validateProposalCsvRow(row, product) {
+    const { proposal, tiers } = row;
+    const errors = [];
+
+    if (isBlank(row.productCode)) {
+        errors.push(`${getProposalCsvLabel('ProductCode')} is required.`);
+    } else if (!product) {
+        errors.push(`No product found with code ${row.productCode}.`);
+    }
+
+    PROPOSAL_CSV_NUMBER_FIELDS
+        .filter(field => !isBlank(proposal[field]) && isNaN(Number(proposal[field])))
+        .forEach(field => errors.push(`${getProposalCsvLabel(field)} (${proposal[field]}) must be a number.`));
+    ['Start_Date__c', 'End_Date__c', 'Approximate_Deliver_Start_Date__c']
+        .filter(field => !isBlank(proposal[field]) && !parseDate(proposal[field]))
+        .forEach(field => errors.push(`${getProposalCsvLabel(field)} (${proposal[field]}) is not a valid date.`));
+    if (!isBlank(proposal.Type__c) && !Object.values(PROPOSAL_TYPE).includes(proposal.Type__c)) {
+        errors.push(`Type (${proposal.Type__c}) must be one of: ${Object.values(PROPOSAL_TYPE).join(', ')}.`);
+    }
+    // The other checks would only repeat these errors
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    errors.push(...validateProposal(proposal, true), ...row.tierErrors);
+
+    const tierErrors = [];
+    tiers.forEach((tier, index) => {
+        validateTierRow(tier, proposal.Base_Price__c)
+            .forEach(message => tierErrors.push(`Tier ${index + 1}: ${message}`));
+    });
+    // Checks across tiers only make sense once every tier is valid
+    if (tierErrors.length === 0 && tiers.length > 0) {
+        const overlapError = getTierOverlapError(tiers);
+        if (overlapError) {
+            tierErrors.push(overlapError);
+        }
+        analyzeTiers(tiers, proposal)
+            .filter(issue => issue.severity === TIER_ISSUE_SEVERITY.ERROR)
+            .forEach(issue => tierErrors.push(`Tier ${issue.tierIndex + 1}: ${issue.message}`));
+    }
+
+    return [...errors, ...tierErrors];
+}
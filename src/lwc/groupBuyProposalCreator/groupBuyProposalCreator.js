@@ -1,4 +1,4 @@
-import { LightningElement, track } from 'lwc';
+import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
 import { getSessionContext } from 'commerce/contextApi';
@@ -10,8 +10,28 @@ import createGroupBuyProposal from '@salesforce/apex/GroupBuyProposalController.
 import getProposalPicklistValues from '@salesforce/apex/GroupBuyProposalController.getProposalPicklistValues';
 import getProductPicklistValues from '@salesforce/apex/GroupBuyProposalController.getProductPicklistValues';
 import getAccountById from '@salesforce/apex/GroupBuyProposalController.getAccountById';
+import createGroupBuyProposalFromTemplate from '@salesforce/apex/GroupBuyProposalController.createGroupBuyProposalFromTemplate';
+import getTemplates from '@salesforce/apex/DiscountTierTemplateController.getTemplates';
+import getMyDrafts from '@salesforce/apex/ProposalDraftController.getMyDrafts';
+import getDraft from '@salesforce/apex/ProposalDraftController.getDraft';
+import saveDraft from '@salesforce/apex/ProposalDraftController.saveDraft';
+import deleteDraft from '@salesforce/apex/ProposalDraftController.deleteDraft';
+
+import {
+    PROPOSAL_STATUS,
+    RICH_TEXT_FORMATS,
+    formatDateTime,
+    validateProposal,
+    reduceErrors
+} from 'c/groupBuyCore';
+
+// Delay between the last change and the autosave of the draft
+const DRAFT_SAVE_DELAY = 1500;
 
 export default class GroupBuyProposalCreator extends NavigationMixin(LightningElement) {
+    // Draft to resume, e.g. when opened from the drafts of groupBuyProposalManager
+    @api draftId;
+
     // Loading and UI state
     @track isLoading = false;
     @track showSuccess = false;
@@ -34,10 +54,12 @@ export default class GroupBuyProposalCreator extends NavigationMixin(LightningEl
     @track proposal = {
         Name: '',
         Description__c: '',
-        Status__c: 'Created',
+        Status__c: PROPOSAL_STATUS.CREATED,
         Type__c: '',
         Min_Quota__c: null,
         Max_Quota__c: null,
+        Min_Quantity_Per_Account__c: null,
+        Max_Quantity_Per_Account__c: null,
         Start_Date__c: null,
         End_Date__c: null,
         Approximate_Deliver_Start_Date__c: null,
@@ -68,16 +90,36 @@ export default class GroupBuyProposalCreator extends NavigationMixin(LightningEl
     @track brandOptions = [];
     @track characterOptions = [];
 
+    // Formats of the description editor, all kept when the description is sanitized
+    descriptionFormats = RICH_TEXT_FORMATS;
+
+    // Discount tier template the new proposal starts with
+    @track selectedTemplateId = '';
+    @track templates = [];
+
     // Created proposal data
     @track createdProposal = null;
     createdProposalId = null;
 
+    // Draft autosave
+    currentDraftId = null;
+    @track resumableDraft = null;
+    @track draftSavedAt = null;
+    @track isSavingDraft = false;
+    draftSaveTimeout;
+
     // ===============================
     // LIFECYCLE HOOKS
     // ===============================
 
     async connectedCallback() {
         this.loadPicklistValues();
+        this.loadTemplates();
+        if (this.draftId) {
+            this.loadDraft(this.draftId);
+        } else {
+            this.loadResumableDraft();
+        }
         try {
             const sessionContext = await getSessionContext();
             console.log( 'Session Context:', JSON.stringify(sessionContext) );
@@ -97,6 +139,15 @@ export default class GroupBuyProposalCreator extends NavigationMixin(LightningEl
         }
     }
 
+    disconnectedCallback() {
+        // Save pending changes right away rather than losing them
+        if (this.draftSaveTimeout) {
+            clearTimeout(this.draftSaveTimeout);
+            this.draftSaveTimeout = null;
+            this.saveDraftNow();
+        }
+    }
+
     // ===============================
     // DATA LOADING METHODS
     // ===============================
@@ -114,6 +165,14 @@ export default class GroupBuyProposalCreator extends NavigationMixin(LightningEl
         }
     }
 
+    async loadTemplates() {
+        try {
+            this.templates = await getTemplates();
+        } catch (error) {
+            console.error('Error loading tier templates:', error);
+        }
+    }
+
     async loadPicklistValues() {
         try {
             // Load proposal picklist values
@@ -152,7 +211,7 @@ export default class GroupBuyProposalCreator extends NavigationMixin(LightningEl
                 ];
             }
         } catch (error) {
-            this.showToast('Error', 'Failed to load picklist values: ' + this.reduceErrors(error), 'error');
+            this.showToast('Error', 'Failed to load picklist values: ' + reduceErrors(error), 'error');
         }
     }
 
@@ -211,22 +270,37 @@ export default class GroupBuyProposalCreator extends NavigationMixin(LightningEl
         return 'Product *';
     }
 
+    get templateOptions() {
+        return [
+            { label: '-- None --', value: '' },
+            ...this.templates.map(template => ({
+                label: template.Description__c ? `${template.Name} (${template.Description__c})` : template.Name,
+                value: template.Id
+            }))
+        ];
+    }
+
+    get draftStatusLabel() {
+        if (this.isSavingDraft) {
+            return 'Saving draft...';
+        }
+        return this.draftSavedAt ? `Draft saved ${formatDateTime(this.draftSavedAt)}` : '';
+    }
+
+    get resumableDraftSavedAt() {
+        return formatDateTime(this.resumableDraft?.LastModifiedDate);
+    }
+
     get createdProposalProductName() {
         return this.createdProposal?.Product__r?.Name || this.selectedProduct?.Name || 'N/A';
     }
 
     get formattedStartDate() {
-        if (this.createdProposal?.Start_Date__c) {
-            return new Date(this.createdProposal.Start_Date__c).toLocaleString();
-        }
-        return 'N/A';
+        return formatDateTime(this.createdProposal?.Start_Date__c);
     }
 
     get formattedEndDate() {
-        if (this.createdProposal?.End_Date__c) {
-            return new Date(this.createdProposal.End_Date__c).toLocaleString();
-        }
-        return 'N/A';
+        return formatDateTime(this.createdProposal?.End_Date__c);
     }
 
     // ===============================
@@ -234,66 +308,26 @@ export default class GroupBuyProposalCreator extends NavigationMixin(LightningEl
     // ===============================
 
     handleProposalChange(event) {
-        const field = event.target.name;
+        const field = event.target.dataset.field || event.target.name;
         this.proposal = {
             ...this.proposal,
             [field]: event.target.value
         };
         // Clear validation message when user makes changes
         this.showValidationMessage = false;
+        this.scheduleDraftSave();
     }
 
-    validateForm() {
-        // Check all required fields
-        const requiredFields = [
-            { field: 'Name', label: 'Proposal Name' },
-            { field: 'Status__c', label: 'Status' },
-            { field: 'Type__c', label: 'Type' },
-            { field: 'Min_Quota__c', label: 'Min Quota' },
-            { field: 'Max_Quota__c', label: 'Max Quota' },
-            { field: 'Start_Date__c', label: 'Start Date' },
-            { field: 'End_Date__c', label: 'End Date' },
-            { field: 'Approximate_Deliver_Start_Date__c', label: 'Delivery Start Date' },
-            { field: 'Description__c', label: 'Description' }
-        ];
-
-        const missingFields = [];
-
-        for (const { field, label } of requiredFields) {
-            const value = this.proposal[field];
-            if (value === null || value === undefined || value === '' ||
-                (typeof value === 'string' && value.trim() === '')) {
-                missingFields.push(label);
-            }
-        }
-
-        // Check product selection
-        if (!this.selectedProduct) {
-            missingFields.push('Product (select or create a product)');
-        }
-
-        // Check Min/Max quota logic
-        if (this.proposal.Min_Quota__c && this.proposal.Max_Quota__c) {
-            if (Number(this.proposal.Min_Quota__c) > Number(this.proposal.Max_Quota__c)) {
-                this.validationMessage = 'Min Quota cannot be greater than Max Quota';
-                this.showValidationMessage = true;
-                return false;
-            }
-        }
-
-        // Check dates
-        if (this.proposal.Start_Date__c && this.proposal.End_Date__c) {
-            const startDate = new Date(this.proposal.Start_Date__c);
-            const endDate = new Date(this.proposal.End_Date__c);
-            if (startDate >= endDate) {
-                this.validationMessage = 'End Date must be after Start Date';
-                this.showValidationMessage = true;
-                return false;
-            }
-        }
+    handleTemplateChange(event) {
+        this.selectedTemplateId = event.detail.value;
+        this.scheduleDraftSave();
+    }
 
-        if (missingFields.length > 0) {
-            this.validationMessage = `Please fill in all required fields: ${missingFields.join(', ')}`;
+    validateForm() {
+        // Required fields, quotas, per-account limits and dates, shared with the bulk import
+        const errors = validateProposal(this.proposal, !!this.selectedProduct);
+        if (errors.length > 0) {
+            this.validationMessage = errors[0];
             this.showValidationMessage = true;
             return false;
         }
@@ -327,24 +361,40 @@ export default class GroupBuyProposalCreator extends NavigationMixin(LightningEl
                 Account__c: this.accountId
             };
 console.log( 'Submitting proposal data:', proposalData );
-            const result = await createGroupBuyProposal({
-                proposalData: JSON.stringify(proposalData)
-            });
+            const result = this.selectedTemplateId
+                ? await createGroupBuyProposalFromTemplate({
+                    proposalData: JSON.stringify(proposalData),
+                    templateId: this.selectedTemplateId
+                })
+                : await createGroupBuyProposal({
+                    proposalData: JSON.stringify(proposalData)
+                });
 
             this.createdProposalId = result.Id;
             this.createdProposal = result;
             this.showSuccess = true;
 console.log( 'Proposal created successfully:', result );
             this.showToast('Success', 'Group Buy Proposal created successfully!', 'success');
+            this.discardDraft();
+
+            this.dispatchEvent(new CustomEvent('created', {
+                detail: { proposal: result }
+            }));
 
         } catch (error) {
-            this.showToast('Error', 'Failed to create proposal: ' + this.reduceErrors(error), 'error');
+            this.showToast('Error', 'Failed to create proposal: ' + reduceErrors(error), 'error');
         } finally {
             this.isLoading = false;
         }
     }
 
-    handleCancel() {
+    async handleCancel() {
+        // Keep pending changes in the draft, which stays listed for later
+        if (this.draftSaveTimeout) {
+            clearTimeout(this.draftSaveTimeout);
+            this.draftSaveTimeout = null;
+            await this.saveDraftNow();
+        }
         this.resetForm();
 
         // Dispatch cancel event for parent components
@@ -364,10 +414,12 @@ console.log( 'Proposal created successfully:', result );
 
     handleSearchMode() {
         this.productMode = 'search';
+        this.scheduleDraftSave();
     }
 
     handleCreateMode() {
         this.productMode = 'create';
+        this.scheduleDraftSave();
     }
 
     // ===============================
@@ -391,6 +443,7 @@ console.log( 'Search term changed to:', searchValue );
         } else {
             this.searchResults = [];
         }
+        this.scheduleDraftSave();
     }
 
     async performProductSearch(searchTerm) {
@@ -398,7 +451,7 @@ console.log( 'Search term changed to:', searchValue );
         try {
             this.searchResults = await searchProducts({ searchTerm });
         } catch (error) {
-            this.showToast('Error', 'Search failed: ' + this.reduceErrors(error), 'error');
+            this.showToast('Error', 'Search failed: ' + reduceErrors(error), 'error');
             this.searchResults = [];
         }
     }
@@ -414,6 +467,7 @@ console.log( 'Search term changed to:', searchValue );
             this.productMode = '';
             this.searchResults = [];
             this.showValidationMessage = false;
+            this.scheduleDraftSave();
         }
     }
 
@@ -421,6 +475,7 @@ console.log( 'Search term changed to:', searchValue );
         this.selectedProduct = null;
         this.proposal.Product__c = null;
         this.productMode = 'search';
+        this.scheduleDraftSave();
     }
 
     // ===============================
@@ -433,6 +488,7 @@ console.log( 'Search term changed to:', searchValue );
             ...this.newProduct,
             [field]: event.target.value
         };
+        this.scheduleDraftSave();
     }
 
     handleNewProductCheckbox(event) {
@@ -440,6 +496,7 @@ console.log( 'Search term changed to:', searchValue );
             ...this.newProduct,
             IsActive: event.target.checked
         };
+        this.scheduleDraftSave();
     }
 
     async handleCreateProduct() {
@@ -473,25 +530,169 @@ console.log( 'Search term changed to:', searchValue );
             this.showValidationMessage = false;
             this.showToast('Success', 'Product created successfully!', 'success');
             this.productMode = '';
+            this.scheduleDraftSave();
         } catch (error) {
-            this.showToast('Error', 'Failed to create product: ' + this.reduceErrors(error), 'error');
+            this.showToast('Error', 'Failed to create product: ' + reduceErrors(error), 'error');
         } finally {
             this.isLoading = false;
         }
     }
 
+    // ===============================
+    // DRAFT HANDLERS
+    // ===============================
+
+    async loadResumableDraft() {
+        try {
+            const drafts = await getMyDrafts();
+            // Only offer to resume when nothing was typed in the meantime
+            if (drafts.length > 0 && !this.currentDraftId && this.isDraftEmpty()) {
+                this.resumableDraft = drafts[0];
+            }
+        } catch (error) {
+            console.error('Error loading drafts:', error);
+        }
+    }
+
+    async loadDraft(draftId) {
+        this.isLoading = true;
+        try {
+            const draft = await getDraft({ draftId });
+            this.applyDraftData(JSON.parse(draft.Data__c || '{}'));
+            this.currentDraftId = draft.Id;
+            this.draftSavedAt = draft.LastModifiedDate;
+        } catch (error) {
+            this.showToast('Error', 'Failed to load draft: ' + reduceErrors(error), 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleResumeDraft() {
+        const draftId = this.resumableDraft.Id;
+        this.resumableDraft = null;
+        this.loadDraft(draftId);
+    }
+
+    handleDismissDraft() {
+        this.resumableDraft = null;
+    }
+
+    scheduleDraftSave() {
+        if (this.draftSaveTimeout) {
+            clearTimeout(this.draftSaveTimeout);
+        }
+        this.resumableDraft = null;
+        this.draftSaveTimeout = setTimeout(() => {
+            this.draftSaveTimeout = null;
+            this.saveDraftNow();
+        }, DRAFT_SAVE_DELAY);
+    }
+
+    async saveDraftNow() {
+        if (this.showSuccess || this.isDraftEmpty()) {
+            return;
+        }
+
+        this.isSavingDraft = true;
+        try {
+            const draft = await saveDraft({
+                draftId: this.currentDraftId,
+                name: this.proposal.Name,
+                data: JSON.stringify(this.getDraftData()),
+                productName: this.selectedProduct ? this.selectedProduct.Name : null
+            });
+            // The proposal may have been created while the draft was saving
+            if (this.showSuccess) {
+                deleteDraft({ draftId: draft.Id });
+                return;
+            }
+            this.currentDraftId = draft.Id;
+            this.draftSavedAt = draft.LastModifiedDate;
+        } catch (error) {
+            console.error('Error saving draft:', error);
+        } finally {
+            this.isSavingDraft = false;
+        }
+    }
+
+    async discardDraft() {
+        if (this.draftSaveTimeout) {
+            clearTimeout(this.draftSaveTimeout);
+            this.draftSaveTimeout = null;
+        }
+        const draftId = this.currentDraftId;
+        this.currentDraftId = null;
+        this.draftSavedAt = null;
+        if (!draftId) {
+            return;
+        }
+
+        try {
+            await deleteDraft({ draftId });
+        } catch (error) {
+            console.error('Error discarding draft:', error);
+        }
+    }
+
+    isDraftEmpty() {
+        const hasProposalValue = Object.keys(this.proposal)
+            .filter(field => field !== 'Status__c' && field !== 'Account__c')
+            .some(field => this.proposal[field] !== null && this.proposal[field] !== '');
+        return !hasProposalValue && !this.selectedProduct && !this.newProduct.Name && !this.searchTerm;
+    }
+
+    getDraftData() {
+        return {
+            proposal: this.proposal,
+            selectedProduct: this.selectedProduct,
+            newProduct: this.newProduct,
+            productMode: this.productMode,
+            searchTerm: this.searchTerm,
+            selectedTemplateId: this.selectedTemplateId
+        };
+    }
+
+    applyDraftData(data) {
+        this.resetForm();
+        this.proposal = {
+            ...this.proposal,
+            ...data.proposal,
+            Account__c: this.accountId || (data.proposal && data.proposal.Account__c) || null
+        };
+        this.selectedProduct = data.selectedProduct || null;
+        this.newProduct = { ...this.newProduct, ...data.newProduct };
+        this.productMode = data.productMode !== undefined ? data.productMode : 'search';
+        this.searchTerm = data.searchTerm || '';
+        this.selectedTemplateId = data.selectedTemplateId || '';
+
+        if (this.searchTerm.length >= 2 && !this.selectedProduct) {
+            this.performProductSearch(this.searchTerm);
+        }
+    }
+
     // ===============================
     // UTILITY METHODS
     // ===============================
 
     resetForm() {
+        // Further changes go to a new draft
+        if (this.draftSaveTimeout) {
+            clearTimeout(this.draftSaveTimeout);
+            this.draftSaveTimeout = null;
+        }
+        this.currentDraftId = null;
+        this.draftSavedAt = null;
+
         this.proposal = {
             Name: '',
             Description__c: '',
-            Status__c: 'Created',
+            Status__c: PROPOSAL_STATUS.CREATED,
             Type__c: '',
             Min_Quota__c: null,
             Max_Quota__c: null,
+            Min_Quantity_Per_Account__c: null,
+            Max_Quantity_Per_Account__c: null,
             Start_Date__c: null,
             End_Date__c: null,
             Approximate_Deliver_Start_Date__c: null,
@@ -513,6 +714,7 @@ console.log( 'Search term changed to:', searchValue );
             Family: ''
         };
 
+        this.selectedTemplateId = '';
         this.productMode = 'search';
         this.showValidationMessage = false;
         this.validationMessage = '';
@@ -529,31 +731,6 @@ console.log( 'Search term changed to:', searchValue );
         );
     }
 
-    reduceErrors(error) {
-        if (typeof error === 'string') {
-            return error;
-        }
-
-        if (error.body) {
-            if (typeof error.body.message === 'string') {
-                return error.body.message;
-            }
-            if (error.body.pageErrors && error.body.pageErrors.length > 0) {
-                return error.body.pageErrors.map(e => e.message).join(', ');
-            }
-            if (error.body.fieldErrors) {
-                const fieldErrors = Object.values(error.body.fieldErrors);
-                return fieldErrors.flat().map(e => e.message).join(', ');
-            }
-        }
-
-        if (error.message) {
-            return error.message;
-        }
-
-        return 'Unknown error';
-    }
-
     // ===============================
     // NAVIGATION (Optional)
     // ===============================
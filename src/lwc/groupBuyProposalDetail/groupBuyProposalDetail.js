@@ -1,9 +1,24 @@
 import { LightningElement, api, track } from 'lwc';
 import createProposalApprovalCase from '@salesforce/apex/CaseController.createProposalApprovalCase';
+import getApprovalRouting from '@salesforce/apex/CaseController.getApprovalRouting';
+import {
+    PROPOSAL_STATUS,
+    getProposalStatusClass,
+    isProposalEditable,
+    canSubmitProposalForApproval,
+    isProposalRelaunchable,
+    formatApprovalReviewer,
+    formatCurrency,
+    formatDate,
+    formatDateTime,
+    sanitizeRichText,
+    reduceErrors
+} from 'c/groupBuyCore';
 
 export default class GroupBuyProposalDetail extends LightningElement {
     @api proposal;
     @track isSubmitting = false;
+    @track approvalRouting = null;
     
     // Use a setter/getter for activeTab to handle external changes
     _activeTab = 'details';
@@ -16,6 +31,20 @@ export default class GroupBuyProposalDetail extends LightningElement {
         this._activeTab = value || 'details';
     }
 
+    connectedCallback() {
+        if (this.canSubmitForApproval || this.isPendingApproval) {
+            this.loadApprovalRouting();
+        }
+    }
+
+    async loadApprovalRouting() {
+        try {
+            this.approvalRouting = await getApprovalRouting({ proposalId: this.proposal.Id });
+        } catch (error) {
+            console.error('Error resolving approval routing:', error);
+        }
+    }
+
     // ===============================
     // GETTERS
     // ===============================
@@ -37,31 +66,19 @@ export default class GroupBuyProposalDetail extends LightningElement {
     }
 
     get basePriceFormatted() {
-        if (this.proposal?.Base_Price__c != null) {
-            return new Intl.NumberFormat('en-US', { 
-                style: 'currency', 
-                currency: 'USD' 
-            }).format(this.proposal.Base_Price__c);
-        }
-        return 'N/A';
+        return formatCurrency(this.proposal?.Base_Price__c);
     }
 
     get startDateFormatted() {
-        if (this.proposal?.Start_Date__c) {
-            return new Date(this.proposal.Start_Date__c).toLocaleString();
-        }
-        return 'N/A';
+        return formatDateTime(this.proposal?.Start_Date__c);
     }
 
     get endDateFormatted() {
-        if (this.proposal?.End_Date__c) {
-            return new Date(this.proposal.End_Date__c).toLocaleString();
-        }
-        return 'N/A';
+        return formatDateTime(this.proposal?.End_Date__c);
     }
 
     get deliveryDateFormatted() {
-        return this.proposal?.Approximate_Deliver_Start_Date__c || 'N/A';
+        return formatDate(this.proposal?.Approximate_Deliver_Start_Date__c);
     }
 
     get progressPercentage() {
@@ -86,32 +103,45 @@ export default class GroupBuyProposalDetail extends LightningElement {
     }
 
     get statusClass() {
-        const status = this.proposal?.Status__c;
-        const classes = {
-            'Created': 'status-created',
-            'Pending Approval': 'status-pending',
-            'Approved': 'status-approved',
-            'Active': 'status-active',
-            'Rejected': 'status-rejected',
-            'Expired': 'status-expired',
-            'Closed': 'status-closed'
-        };
-        return `status-badge ${classes[status] || ''}`;
+        return getProposalStatusClass(this.proposal?.Status__c);
     }
 
     get canEdit() {
-        const status = this.proposal?.Status__c;
-        return ['Created', 'Pending Approval', 'Rejected'].includes(status);
+        return isProposalEditable(this.proposal?.Status__c);
     }
 
     get canSubmitForApproval() {
-        return this.proposal?.Status__c === 'Created';
+        return canSubmitProposalForApproval(this.proposal?.Status__c);
+    }
+
+    get isPendingApproval() {
+        return this.proposal?.Status__c === PROPOSAL_STATUS.PENDING_APPROVAL;
+    }
+
+    get reviewerLabel() {
+        const reviewer = formatApprovalReviewer(this.approvalRouting);
+        if (!reviewer) {
+            return '';
+        }
+        return this.isPendingApproval ? `In review by ${reviewer}` : `Will be reviewed by ${reviewer}`;
+    }
+
+    get relaunchLabel() {
+        return isProposalRelaunchable(this.proposal?.Status__c) ? 'Relaunch' : 'Clone';
+    }
+
+    get relaunchedFromName() {
+        return this.proposal?.Relaunched_From__r?.Name || '';
     }
 
     get hasDescription() {
         return !!this.proposal?.Description__c;
     }
 
+    get sanitizedDescription() {
+        return sanitizeRichText(this.proposal?.Description__c);
+    }
+
     // ===============================
     // HANDLERS
     // ===============================
@@ -128,6 +158,12 @@ export default class GroupBuyProposalDetail extends LightningElement {
         this.dispatchEvent(new CustomEvent('edit'));
     }
 
+    handleRelaunch() {
+        this.dispatchEvent(new CustomEvent('relaunch', {
+            detail: { proposal: this.proposal }
+        }));
+    }
+
     async handleSubmitForApproval() {
         if (!this.proposal?.Id) {
             return;
@@ -136,20 +172,19 @@ export default class GroupBuyProposalDetail extends LightningElement {
         this.isSubmitting = true;
 
         try {
-            const caseType = 'Merchandiser'; // Default to Merchandiser for seller portal
-            
+            // The case type and review queue are resolved from the buyer groups of the account
             const result = await createProposalApprovalCase({
-                proposalId: this.proposal.Id,
-                caseType: caseType
+                proposalId: this.proposal.Id
             });
 
             // Dispatch success event with case info
             this.dispatchEvent(new CustomEvent('submitforapproval', {
                 detail: {
                     proposalId: this.proposal.Id,
-                    caseId: result.Id,
-                    caseNumber: result.CaseNumber,
-                    message: `Submitted for approval. Case #${result.CaseNumber} created.`
+                    caseId: result.caseId,
+                    caseNumber: result.caseNumber,
+                    reviewer: result.reviewerName,
+                    message: `Submitted for approval to ${formatApprovalReviewer(result)}. Case #${result.caseNumber} created.`
                 }
             }));
 
@@ -160,7 +195,7 @@ export default class GroupBuyProposalDetail extends LightningElement {
             console.error('Error submitting for approval:', error);
             this.dispatchEvent(new CustomEvent('error', {
                 detail: {
-                    message: error.body?.message || 'Failed to submit for approval'
+                    message: reduceErrors(error, 'Failed to submit for approval')
                 }
             }));
         } finally {
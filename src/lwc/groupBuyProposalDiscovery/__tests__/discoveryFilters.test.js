@@ -0,0 +1,85 @@
+import {
+    DISCOVERY_SORT,
+    getDiscountDepthOptions,
+    getDiscoveryFilterOptions,
+    filterDiscoveryProposals,
+    sortDiscoveryProposals,
+    getPage
+} from '../discoveryFilters';
+
+describe('Group Buy Proposal Discovery: Discovery Filters', () => {
+    const HOUR = 60 * 60 * 1000;
+    const now = Date.UTC(2026, 2, 1, 12, 0, 0);
+    const summaries = [
+        {
+            proposalId: 'p1', productBrand: 'Sony', maxDiscount: 10, bookedQuota: 40, isMinQuotaReached: true,
+            categories: [{ id: 'c1', name: 'Audio' }],
+            startDate: new Date(now - 48 * HOUR).toISOString(), endDate: new Date(now + 10 * HOUR).toISOString()
+        },
+        {
+            proposalId: 'p2', productBrand: 'Bandai', maxDiscount: 25, bookedQuota: 5, isMinQuotaReached: false,
+            categories: [{ id: 'c2', name: 'Toys' }, { id: 'c1', name: 'Audio' }],
+            startDate: new Date(now - 2 * HOUR).toISOString(), endDate: new Date(now + 200 * HOUR).toISOString()
+        },
+        {
+            proposalId: 'p3', productBrand: null, maxDiscount: 0, bookedQuota: 12, isMinQuotaReached: false,
+            categories: [], startDate: new Date(now - 100 * HOUR).toISOString(), endDate: null
+        }
+    ];
+    const ids = rows => rows.map(row => row.proposalId);
+
+    it('lists the categories and brands of the proposals', () => {
+        // Act
+        const { categories, brands } = getDiscoveryFilterOptions(summaries);
+
+        // Assert
+        expect(categories).toEqual([{ label: 'Audio', value: 'c1' }, { label: 'Toys', value: 'c2' }]);
+        expect(brands).toEqual([{ label: 'Bandai', value: 'Bandai' }, { label: 'Sony', value: 'Sony' }]);
+        expect(getDiscountDepthOptions()[0]).toEqual({ label: 'Any discount', value: '0' });
+    });
+
+    it('filters by category, brand, end date, discount depth and min quota', () => {
+        // Act
+        const byCategory = filterDiscoveryProposals(summaries, { categoryId: 'c1' }, now);
+        const byBrand = filterDiscoveryProposals(summaries, { brand: 'Bandai' }, now);
+        const endingSoon = filterDiscoveryProposals(summaries, { endingSoon: true }, now);
+        const byDiscount = filterDiscoveryProposals(summaries, { minDiscount: '20' }, now);
+        const reached = filterDiscoveryProposals(summaries, { minQuotaReached: true }, now);
+        const combined = filterDiscoveryProposals(summaries, { categoryId: 'c1', minDiscount: 10, endingSoon: true }, now);
+
+        // Assert
+        expect(ids(byCategory)).toEqual(['p1', 'p2']);
+        expect(ids(byBrand)).toEqual(['p2']);
+        expect(ids(endingSoon)).toEqual(['p1']);
+        expect(ids(byDiscount)).toEqual(['p2']);
+        expect(ids(reached)).toEqual(['p1']);
+        expect(ids(combined)).toEqual(['p1']);
+        expect(filterDiscoveryProposals(summaries)).toHaveLength(3);
+    });
+
+    it('sorts by end date, discount, popularity and start date', () => {
+        // Act
+        const endingSoon = sortDiscoveryProposals(summaries, DISCOVERY_SORT.ENDING_SOON);
+        const biggestDiscount = sortDiscoveryProposals(summaries, DISCOVERY_SORT.BIGGEST_DISCOUNT);
+        const mostPopular = sortDiscoveryProposals(summaries, DISCOVERY_SORT.MOST_POPULAR);
+        const newest = sortDiscoveryProposals(summaries, DISCOVERY_SORT.NEWEST);
+
+        // Assert
+        expect(ids(endingSoon)).toEqual(['p1', 'p2', 'p3']);
+        expect(ids(biggestDiscount)).toEqual(['p2', 'p1', 'p3']);
+        expect(ids(mostPopular)).toEqual(['p1', 'p3', 'p2']);
+        expect(ids(newest)).toEqual(['p2', 'p1', 'p3']);
+        expect(ids(summaries)).toEqual(['p1', 'p2', 'p3']);
+    });
+
+    it('returns the items of a page', () => {
+        // Arrange
+        const items = [1, 2, 3, 4, 5];
+
+        // Act
+        const pages = [1, 2, 3, 4].map(pageNumber => getPage(items, pageNumber, 2));
+
+        // Assert
+        expect(pages).toEqual([[1, 2], [3, 4], [5], []]);
+    });
+});
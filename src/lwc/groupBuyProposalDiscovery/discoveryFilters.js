@@ -0,0 +1,126 @@
+/**
+ * Storefront listing of all active proposals (GroupProposalController.getAvailableProposals
+ * ProposalSummary rows), filtered, sorted and paginated on the client.
+ */
+import { DEFAULT_SOON_HOURS, HOUR_MS, parseDate } from 'c/groupBuyCore';
+
+export const DISCOVERY_SORT = Object.freeze({
+    ENDING_SOON: 'endingSoon',
+    BIGGEST_DISCOUNT: 'biggestDiscount',
+    MOST_POPULAR: 'mostPopular',
+    NEWEST: 'newest'
+});
+
+export const DISCOVERY_PAGE_SIZE = 12;
+
+// Minimum best discount, as whole-number percents
+const DISCOUNT_DEPTHS = [5, 10, 20, 30];
+
+export function getDiscoverySortOptions() {
+    return [
+        { label: 'Ending soonest', value: DISCOVERY_SORT.ENDING_SOON },
+        { label: 'Biggest discount', value: DISCOVERY_SORT.BIGGEST_DISCOUNT },
+        { label: 'Most popular', value: DISCOVERY_SORT.MOST_POPULAR },
+        { label: 'Newest', value: DISCOVERY_SORT.NEWEST }
+    ];
+}
+
+/**
+ * Options of the discount depth filter; values are minimum percents as strings
+ *
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function getDiscountDepthOptions() {
+    return [
+        { label: 'Any discount', value: '0' },
+        ...DISCOUNT_DEPTHS.map(depth => ({ label: `${depth}% OFF or more`, value: String(depth) }))
+    ];
+}
+
+/**
+ * Category and brand filter options of the listed proposals, by label
+ *
+ * @param {Array<object>} summaries ProposalSummary rows
+ * @returns {{categories: Array<{label: string, value: string}>, brands: Array<{label: string, value: string}>}}
+ */
+export function getDiscoveryFilterOptions(summaries) {
+    const categories = new Map();
+    const brands = new Set();
+    (summaries || []).forEach(summary => {
+        (summary.categories || []).forEach(category => categories.set(category.id, category.name));
+        if (summary.productBrand) {
+            brands.add(summary.productBrand);
+        }
+    });
+    const byLabel = (a, b) => a.label.localeCompare(b.label);
+    return {
+        categories: [...categories].map(([value, label]) => ({ label, value })).sort(byLabel),
+        brands: [...brands].map(brand => ({ label: brand, value: brand })).sort(byLabel)
+    };
+}
+
+/**
+ * Keeps the proposals matching every set filter
+ *
+ * @param {Array<object>} summaries ProposalSummary rows
+ * @param {{categoryId: string, brand: string, endingSoon: Boolean, minDiscount: number|string, minQuotaReached: Boolean}} [filters]
+ *        endingSoon keeps the proposals ending within DEFAULT_SOON_HOURS; minDiscount applies to the best tier
+ * @param {number} [now] timestamp, defaults to the current time
+ * @returns {Array<object>}
+ */
+export function filterDiscoveryProposals(summaries, filters = {}, now = Date.now()) {
+    const minDiscount = Number(filters.minDiscount) || 0;
+    return (summaries || []).filter(summary => {
+        if (filters.categoryId && !(summary.categories || []).some(category => category.id === filters.categoryId)) {
+            return false;
+        }
+        if (filters.brand && summary.productBrand !== filters.brand) {
+            return false;
+        }
+        if (filters.endingSoon) {
+            const end = parseDate(summary.endDate);
+            if (!end || end.getTime() - now > DEFAULT_SOON_HOURS * HOUR_MS) {
+                return false;
+            }
+        }
+        if (minDiscount > 0 && (Number(summary.maxDiscount) || 0) < minDiscount) {
+            return false;
+        }
+        return !filters.minQuotaReached || !!summary.isMinQuotaReached;
+    });
+}
+
+/**
+ * Sorts proposals without changing the given list
+ *
+ * @param {Array<object>} summaries ProposalSummary rows
+ * @param {string} sortBy a DISCOVERY_SORT value; proposals without end date end last
+ * @returns {Array<object>}
+ */
+export function sortDiscoveryProposals(summaries, sortBy) {
+    const time = (value, fallback) => {
+        const date = parseDate(value);
+        return date ? date.getTime() : fallback;
+    };
+    const compare = {
+        [DISCOVERY_SORT.ENDING_SOON]: (a, b) => time(a.endDate, Infinity) - time(b.endDate, Infinity),
+        [DISCOVERY_SORT.BIGGEST_DISCOUNT]: (a, b) => (Number(b.maxDiscount) || 0) - (Number(a.maxDiscount) || 0),
+        [DISCOVERY_SORT.MOST_POPULAR]: (a, b) => (Number(b.bookedQuota) || 0) - (Number(a.bookedQuota) || 0),
+        [DISCOVERY_SORT.NEWEST]: (a, b) => time(b.startDate, 0) - time(a.startDate, 0)
+    }[sortBy];
+    // Infinity - Infinity is NaN for two proposals without end date
+    return compare ? [...(summaries || [])].sort((a, b) => compare(a, b) || 0) : [...(summaries || [])];
+}
+
+/**
+ * Items of a page
+ *
+ * @param {Array<object>} items
+ * @param {number} pageNumber 1-based
+ * @param {number} pageSize
+ * @returns {Array<object>}
+ */
+export function getPage(items, pageNumber, pageSize) {
+    const start = (Math.max(1, pageNumber) - 1) * pageSize;
+    return (items || []).slice(start, start + pageSize);
+}
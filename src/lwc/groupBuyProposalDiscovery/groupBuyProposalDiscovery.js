@@ -0,0 +1,211 @@
+import { LightningElement, api, track } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { getSessionContext } from 'commerce/contextApi';
+import getAvailableProposals from '@salesforce/apex/GroupProposalController.getAvailableProposals';
+import {
+    getDeadlineBadges,
+    formatDiscount,
+    formatCurrency,
+    formatDateTime,
+    reduceErrors
+} from 'c/groupBuyCore';
+import {
+    DISCOVERY_SORT,
+    DISCOVERY_PAGE_SIZE,
+    getDiscoverySortOptions,
+    getDiscountDepthOptions,
+    getDiscoveryFilterOptions,
+    filterDiscoveryProposals,
+    sortDiscoveryProposals,
+    getPage
+} from './discoveryFilters';
+
+const ALL_OPTION_VALUE = '';
+
+const DEFAULT_FILTERS = Object.freeze({
+    categoryId: ALL_OPTION_VALUE,
+    brand: ALL_OPTION_VALUE,
+    endingSoon: false,
+    minDiscount: '0',
+    minQuotaReached: false
+});
+
+/**
+ * Storefront page listing all active proposals, with category, brand, end date, discount
+ * and min quota filters, sorting and pagination. Cards open the proposal page.
+ */
+export default class GroupBuyProposalDiscovery extends NavigationMixin(LightningElement) {
+    // Page holding groupProposalDisplay, which reads the proposalId page state
+    @api proposalPageName = 'Group_Proposal__c';
+
+    @track proposals = [];
+    @track filters = { ...DEFAULT_FILTERS };
+    @track sortBy = DISCOVERY_SORT.ENDING_SOON;
+    @track pageNumber = 1;
+    @track isLoading = true;
+    @track errorMsg = '';
+
+    accountId = null;
+    sortOptions = getDiscoverySortOptions();
+    discountDepthOptions = getDiscountDepthOptions();
+
+    async connectedCallback() {
+        await this.loadContext();
+        await this.loadProposals();
+    }
+
+    async loadContext() {
+        try {
+            const context = await getSessionContext();
+            this.accountId = context?.effectiveAccountId || null;
+        } catch (error) {
+            console.warn('Context API not available, using preview mode');
+            this.accountId = null;
+        }
+    }
+
+    async loadProposals() {
+        this.isLoading = true;
+        this.errorMsg = '';
+
+        try {
+            const result = await getAvailableProposals({ accountId: this.accountId, productId: null });
+            this.proposals = result || [];
+        } catch (error) {
+            console.error('Error loading proposals:', error);
+            this.errorMsg = reduceErrors(error, 'Failed to load group buys. Please try again.');
+            this.proposals = [];
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get filterOptions() {
+        return getDiscoveryFilterOptions(this.proposals);
+    }
+
+    get categoryOptions() {
+        return [{ label: 'All categories', value: ALL_OPTION_VALUE }, ...this.filterOptions.categories];
+    }
+
+    get brandOptions() {
+        return [{ label: 'All brands', value: ALL_OPTION_VALUE }, ...this.filterOptions.brands];
+    }
+
+    get filteredProposals() {
+        return sortDiscoveryProposals(filterDiscoveryProposals(this.proposals, this.filters), this.sortBy);
+    }
+
+    get totalItemCount() {
+        return this.filteredProposals.length;
+    }
+
+    get pageSize() {
+        return DISCOVERY_PAGE_SIZE;
+    }
+
+    get cards() {
+        return getPage(this.filteredProposals, this.pageNumber, DISCOVERY_PAGE_SIZE).map(summary => this.toCard(summary));
+    }
+
+    get hasProposals() {
+        return this.proposals.length > 0;
+    }
+
+    get hasCards() {
+        return this.totalItemCount > 0;
+    }
+
+    // No proposal matches the filters while some are listed
+    get showNoMatch() {
+        return this.hasProposals && !this.hasCards;
+    }
+
+    get showPaginator() {
+        return this.totalItemCount > DISCOVERY_PAGE_SIZE;
+    }
+
+    get hasActiveFilters() {
+        return Object.keys(DEFAULT_FILTERS).some(key => this.filters[key] !== DEFAULT_FILTERS[key]);
+    }
+
+    get isResetDisabled() {
+        return !this.hasActiveFilters;
+    }
+
+    toCard(summary) {
+        const progress = summary.progressPercentage || 0;
+        const hasDiscount = (Number(summary.maxDiscount) || 0) > 0;
+        return {
+            id: summary.proposalId,
+            name: summary.name,
+            productName: summary.productName,
+            productBrand: summary.productBrand,
+            imageUrl: summary.productImageUrl,
+            hasImage: !!summary.productImageUrl,
+            startDate: summary.startDate,
+            endDate: summary.endDate,
+            endDateFormatted: formatDateTime(summary.endDate, 'No end date'),
+            deadlineBadges: getDeadlineBadges({
+                Status__c: 'Active',
+                Start_Date__c: summary.startDate,
+                End_Date__c: summary.endDate
+            }),
+            basePriceFormatted: formatCurrency(summary.basePrice),
+            hasDiscount: hasDiscount,
+            maxDiscountFormatted: formatDiscount(summary.maxDiscount),
+            currentDiscountFormatted: formatDiscount(summary.currentDiscount),
+            bookedQuota: summary.bookedQuota || 0,
+            minQuota: summary.minQuota || 0,
+            progressStyle: `width: ${Math.min(100, progress)}%`,
+            progressClass: summary.isMinQuotaReached ? 'progress-text goal-reached' : 'progress-text',
+            progressText: summary.isMinQuotaReached ? 'Minimum reached' : `${Math.round(progress)}% to goal`
+        };
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleFilterChange(event) {
+        const field = event.target.dataset.field;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.detail.value;
+        this.filters = { ...this.filters, [field]: value };
+        this.pageNumber = 1;
+    }
+
+    handleSortChange(event) {
+        this.sortBy = event.detail.value;
+        this.pageNumber = 1;
+    }
+
+    handleResetFilters() {
+        this.filters = { ...DEFAULT_FILTERS };
+        this.pageNumber = 1;
+    }
+
+    handlePreviousPage() {
+        this.pageNumber = Math.max(1, this.pageNumber - 1);
+    }
+
+    handleNextPage() {
+        this.pageNumber = Math.min(Math.ceil(this.totalItemCount / DISCOVERY_PAGE_SIZE), this.pageNumber + 1);
+    }
+
+    handleOpenProposal(event) {
+        const proposalId = event.currentTarget.dataset.id;
+        this[NavigationMixin.Navigate]({
+            type: 'comm__namedPage',
+            attributes: {
+                name: this.proposalPageName
+            },
+            state: {
+                proposalId: proposalId
+            }
+        });
+    }
+}
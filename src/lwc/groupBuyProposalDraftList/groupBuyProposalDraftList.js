@@ -0,0 +1,86 @@
+import { LightningElement, api, track } from 'lwc';
+import getMyDrafts from '@salesforce/apex/ProposalDraftController.getMyDrafts';
+import deleteDraft from '@salesforce/apex/ProposalDraftController.deleteDraft';
+import { formatDateTime, reduceErrors } from 'c/groupBuyCore';
+
+export default class GroupBuyProposalDraftList extends LightningElement {
+    _refreshKey = 0;
+    @api
+    get refreshKey() {
+        return this._refreshKey;
+    }
+    set refreshKey(value) {
+        this._refreshKey = value;
+        if (this._initialized) {
+            this.loadDrafts();
+        }
+    }
+
+    @track drafts = [];
+    @track isLoading = false;
+    @track errorMsg = '';
+    _initialized = false;
+
+    connectedCallback() {
+        this._initialized = true;
+        this.loadDrafts();
+    }
+
+    async loadDrafts() {
+        this.isLoading = true;
+        this.errorMsg = '';
+        try {
+            this.drafts = await getMyDrafts();
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to load drafts');
+            this.drafts = [];
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get hasDrafts() {
+        return this.drafts.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.errorMsg && !this.hasDrafts;
+    }
+
+    get draftRows() {
+        return this.drafts.map(draft => ({
+            ...draft,
+            productLabel: draft.Product_Name__c || 'No product selected',
+            savedLabel: formatDateTime(draft.LastModifiedDate)
+        }));
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleResume(event) {
+        this.dispatchEvent(new CustomEvent('resume', {
+            detail: { draftId: event.currentTarget.dataset.id }
+        }));
+    }
+
+    async handleDelete(event) {
+        const draftId = event.currentTarget.dataset.id;
+        try {
+            await deleteDraft({ draftId });
+            this.drafts = this.drafts.filter(draft => draft.Id !== draftId);
+            this.dispatchEvent(new CustomEvent('success', {
+                detail: { message: 'Draft discarded.' }
+            }));
+        } catch (error) {
+            this.dispatchEvent(new CustomEvent('error', {
+                detail: { message: reduceErrors(error, 'Failed to discard draft') }
+            }));
+        }
+    }
+}
@@ -2,6 +2,7 @@ import { LightningElement, api, track } from 'lwc';
 import getProposalById from '@salesforce/apex/GroupBuyProposalController.getProposalById';
 import getProposalPicklistValues from '@salesforce/apex/GroupBuyProposalController.getProposalPicklistValues';
 import updateProposal from '@salesforce/apex/GroupBuyProposalController.updateProposal';
+import { RICH_TEXT_FORMATS, validateAccountLimits, reduceErrors } from 'c/groupBuyCore';
 
 export default class GroupBuyProposalEditModal extends LightningElement {
     @api proposalId;
@@ -14,6 +15,9 @@ export default class GroupBuyProposalEditModal extends LightningElement {
     @track statusOptions = [];
     @track typeOptions = [];
 
+    // Formats of the description editor, all kept when the description is sanitized
+    descriptionFormats = RICH_TEXT_FORMATS;
+
     async connectedCallback() {
         await Promise.all([
             this.loadPicklistValues(),
@@ -47,7 +51,7 @@ export default class GroupBuyProposalEditModal extends LightningElement {
             const result = await getProposalById({ proposalId: this.proposalId });
             this.proposal = { ...result };
         } catch (error) {
-            this.fireError('Failed to load proposal');
+            this.fireError(reduceErrors(error, 'Failed to load proposal'));
         }
     }
 
@@ -64,6 +68,12 @@ export default class GroupBuyProposalEditModal extends LightningElement {
     }
 
     async handleSave() {
+        const accountLimitsError = validateAccountLimits(this.proposal);
+        if (accountLimitsError) {
+            this.fireError(accountLimitsError);
+            return;
+        }
+
         this.isSaving = true;
 
         try {
@@ -73,7 +83,7 @@ export default class GroupBuyProposalEditModal extends LightningElement {
 
             this.dispatchEvent(new CustomEvent('save'));
         } catch (error) {
-            this.fireError(this.reduceErrors(error));
+            this.fireError(reduceErrors(error));
         } finally {
             this.isSaving = false;
         }
@@ -88,11 +98,4 @@ export default class GroupBuyProposalEditModal extends LightningElement {
             detail: { message }
         }));
     }
-
-    reduceErrors(error) {
-        if (typeof error === 'string') return error;
-        if (error.body?.message) return error.body.message;
-        if (error.message) return error.message;
-        return 'Unknown error';
-    }
 }
@@ -1,6 +1,7 @@
 import { LightningElement, api, track } from 'lwc';
 import getProposalPicklistValues from '@salesforce/apex/GroupBuyProposalController.getProposalPicklistValues';
 import createGroupBuyProposal from '@salesforce/apex/GroupBuyProposalController.createGroupBuyProposal';
+import { PROPOSAL_STATUS, RICH_TEXT_FORMATS, validateAccountLimits, reduceErrors } from 'c/groupBuyCore';
 
 export default class GroupBuyProposalForm extends LightningElement {
     @api accountId;
@@ -12,10 +13,12 @@ export default class GroupBuyProposalForm extends LightningElement {
     @track proposal = {
         Name: '',
         Description__c: '',
-        Status__c: 'Created',
+        Status__c: PROPOSAL_STATUS.CREATED,
         Type__c: '',
         Min_Quota__c: null,
         Max_Quota__c: null,
+        Min_Quantity_Per_Account__c: null,
+        Max_Quantity_Per_Account__c: null,
         Start_Date__c: null,
         End_Date__c: null,
         Approximate_Deliver_Start_Date__c: null,
@@ -30,6 +33,9 @@ export default class GroupBuyProposalForm extends LightningElement {
     @track statusOptions = [];
     @track typeOptions = [];
 
+    // Formats allowed in the description editor
+    descriptionFormats = RICH_TEXT_FORMATS;
+
     // Validation
     @track validationErrors = [];
 
@@ -133,6 +139,11 @@ export default class GroupBuyProposalForm extends LightningElement {
             }
         }
 
+        const accountLimitsError = validateAccountLimits(this.proposal);
+        if (accountLimitsError) {
+            this.validationErrors.push({ field: 'Max_Quantity_Per_Account__c', message: accountLimitsError });
+        }
+
         if (this.proposal.Start_Date__c && this.proposal.End_Date__c) {
             if (new Date(this.proposal.Start_Date__c) >= new Date(this.proposal.End_Date__c)) {
                 this.validationErrors.push({ field: 'End_Date__c', message: 'End Date must be after Start Date' });
@@ -167,7 +178,7 @@ export default class GroupBuyProposalForm extends LightningElement {
             this.resetForm();
 
         } catch (error) {
-            this.fireError(this.reduceErrors(error));
+            this.fireError(reduceErrors(error));
         } finally {
             this.isLoading = false;
         }
@@ -181,10 +192,12 @@ export default class GroupBuyProposalForm extends LightningElement {
         this.proposal = {
             Name: '',
             Description__c: '',
-            Status__c: 'Created',
+            Status__c: PROPOSAL_STATUS.CREATED,
             Type__c: '',
             Min_Quota__c: null,
             Max_Quota__c: null,
+            Min_Quantity_Per_Account__c: null,
+            Max_Quantity_Per_Account__c: null,
             Start_Date__c: null,
             End_Date__c: null,
             Approximate_Deliver_Start_Date__c: null,
@@ -201,11 +214,4 @@ export default class GroupBuyProposalForm extends LightningElement {
             detail: { message }
         }));
     }
-
-    reduceErrors(error) {
-        if (typeof error === 'string') return error;
-        if (error.body?.message) return error.body.message;
-        if (error.message) return error.message;
-        return 'Unknown error';
-    }
 }
@@ -0,0 +1,57 @@
+import { DISCOUNT_TYPE } from 'c/groupBuyCore';
+import { parseRevisionSnapshot, diffProposalRevisions } from '../revisionDiff';
+
+describe('Group Buy Proposal History: Revision Diff', () => {
+    const revision = (fields, tiers = []) => ({ Snapshot__c: JSON.stringify({ fields, tiers }) });
+
+    it('reads the snapshot of a revision', () => {
+        // Arrange
+        const tiers = [{ Id: 't1', Min_Quota_For_Discount__c: 10, Max_Quota_Discount__c: 50, Discount__c: 5 }];
+
+        // Act
+        const snapshot = parseRevisionSnapshot(revision({ Name: 'Proposal' }, tiers));
+
+        // Assert
+        expect(snapshot.fields.Name).toBe('Proposal');
+        expect(snapshot.tiers).toEqual(tiers);
+        expect(parseRevisionSnapshot({ Snapshot__c: 'not json' })).toEqual({ fields: {}, tiers: [] });
+        expect(parseRevisionSnapshot(null)).toEqual({ fields: {}, tiers: [] });
+    });
+
+    it('lists the changed fields with formatted values', () => {
+        // Arrange
+        const older = revision({ Name: 'Proposal', Base_Price__c: 100, Min_Quota__c: 10, Description__c: '<p>Great <b>deal</b></p>' });
+        const newer = revision({ Name: 'Proposal', Base_Price__c: 90, Min_Quota__c: 10, Description__c: '<p>Great deal</p>', Max_Quantity_Per_Account__c: 5 });
+
+        // Act
+        const { fields } = diffProposalRevisions(older, newer);
+
+        // Assert
+        expect(fields.map(change => change.field)).toEqual(['Base_Price__c', 'Max_Quantity_Per_Account__c']);
+        expect(fields[0]).toEqual({ field: 'Base_Price__c', label: 'Base Price', from: '$100.00', to: '$90.00' });
+        expect(fields[1].from).toBe('N/A');
+        expect(fields[1].to).toBe('5');
+    });
+
+    it('compares the discount tiers', () => {
+        // Arrange
+        const older = revision({}, [
+            { Id: 't1', Min_Quota_For_Discount__c: 10, Max_Quota_Discount__c: 20, Discount_Type__c: DISCOUNT_TYPE.PERCENT, Discount__c: 5 },
+            { Id: 't2', Min_Quota_For_Discount__c: 21, Max_Quota_Discount__c: 50, Discount_Type__c: DISCOUNT_TYPE.PERCENT, Discount__c: 10 }
+        ]);
+        const newer = revision({}, [
+            { Id: 't1', Min_Quota_For_Discount__c: 10, Max_Quota_Discount__c: 20, Discount_Type__c: DISCOUNT_TYPE.PERCENT, Discount__c: 7 },
+            { Id: 't3', Min_Quota_For_Discount__c: 30, Max_Quota_Discount__c: 50, Discount_Type__c: DISCOUNT_TYPE.PRICE_POINT, Tier_Price__c: 80 }
+        ]);
+
+        // Act
+        const { fields, tiers } = diffProposalRevisions(older, newer);
+
+        // Assert
+        expect(fields).toEqual([]);
+        expect(tiers.updates).toHaveLength(1);
+        expect(tiers.updates[0].changes).toEqual([{ field: 'Discount__c', label: 'Discount %', from: 5, to: 7 }]);
+        expect(tiers.inserts).toHaveLength(1);
+        expect(tiers.deletes.map(tier => tier.Id)).toEqual(['t2']);
+    });
+});
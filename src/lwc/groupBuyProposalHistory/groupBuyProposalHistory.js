@@ -0,0 +1,117 @@
+import { LightningElement, api, track } from 'lwc';
+import getProposalRevisions from '@salesforce/apex/GroupBuyProposalController.getProposalRevisions';
+import {
+    formatDateTime,
+    formatTierDiscount,
+    reduceErrors
+} from 'c/groupBuyCore';
+import { diffProposalRevisions } from './revisionDiff';
+
+export default class GroupBuyProposalHistory extends LightningElement {
+    @api proposalId;
+
+    @track revisions = [];
+    @track fromId = null;
+    @track toId = null;
+    @track isLoading = false;
+    @track errorMsg = '';
+
+    connectedCallback() {
+        this.loadRevisions();
+    }
+
+    async loadRevisions() {
+        this.isLoading = true;
+        try {
+            // Newest first
+            this.revisions = await getProposalRevisions({ proposalId: this.proposalId });
+            this.toId = this.revisions.length ? this.revisions[0].Id : null;
+            this.fromId = this.revisions.length > 1 ? this.revisions[1].Id : null;
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to load the revision history');
+            this.revisions = [];
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get hasRevisions() {
+        return this.revisions.length > 1;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.errorMsg && !this.hasRevisions;
+    }
+
+    get revisionOptions() {
+        return this.revisions.map(revision => ({
+            label: `Revision ${revision.Revision_Number__c} · ${revision.Status__c} · ` +
+                `${formatDateTime(revision.CreatedDate)} · ${revision.CreatedBy?.Name || 'N/A'}`,
+            value: revision.Id
+        }));
+    }
+
+    get diff() {
+        const from = this.revisions.find(revision => revision.Id === this.fromId);
+        const to = this.revisions.find(revision => revision.Id === this.toId);
+        if (!from || !to) {
+            return null;
+        }
+
+        const { fields, tiers } = diffProposalRevisions(from, to);
+        const tierLabel = tier => `${tier.Min_Quota_For_Discount__c}-${tier.Max_Quota_Discount__c} units, ${formatTierDiscount(tier)}`;
+
+        const tierChanges = [
+            ...tiers.inserts.map((tier, index) => ({
+                key: `insert-${index}`,
+                kind: 'Added',
+                label: tierLabel(tier),
+                details: ''
+            })),
+            ...tiers.updates.map(({ tier, changes }, index) => ({
+                key: `update-${index}`,
+                kind: 'Changed',
+                label: tierLabel(tier),
+                details: changes.map(change => `${change.label}: ${change.from} → ${change.to}`).join(', ')
+            })),
+            ...tiers.deletes.map((tier, index) => ({
+                key: `delete-${index}`,
+                kind: 'Removed',
+                label: tierLabel(tier),
+                details: ''
+            }))
+        ].map(change => ({
+            ...change,
+            badgeClass: `change-badge change-${change.kind.toLowerCase()}`
+        }));
+
+        return {
+            fields,
+            tierChanges,
+            hasFieldChanges: fields.length > 0,
+            hasTierChanges: tierChanges.length > 0,
+            isUnchanged: fields.length === 0 && tierChanges.length === 0
+        };
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleFromChange(event) {
+        this.fromId = event.detail.value;
+    }
+
+    handleToChange(event) {
+        this.toId = event.detail.value;
+    }
+
+    @api
+    refresh() {
+        return this.loadRevisions();
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Compares proposal revisions for the History tab.
+ */
+import {
+    EMPTY_VALUE,
+    isBlank,
+    formatCurrency,
+    formatDate,
+    formatDateTime
+} from 'c/groupBuyCore';
+import { diffTiers } from 'c/groupBuyCsv';
+
+// Proposal_Revision__c.Snapshot__c is the JSON written by ProposalRevisionService:
+// { fields: { Name, Status__c, ..., Product_Name }, tiers: [Group_Proposal_Discount__c values] }
+
+const REVISION_FIELDS = [
+    { fieldName: 'Name', label: 'Proposal Name' },
+    { fieldName: 'Status__c', label: 'Status' },
+    { fieldName: 'Type__c', label: 'Type' },
+    { fieldName: 'Product_Name', label: 'Product' },
+    { fieldName: 'Base_Price__c', label: 'Base Price', format: 'currency' },
+    { fieldName: 'Min_Quota__c', label: 'Min Quota' },
+    { fieldName: 'Max_Quota__c', label: 'Max Quota' },
+    { fieldName: 'Min_Quantity_Per_Account__c', label: 'Min Quantity Per Account' },
+    { fieldName: 'Max_Quantity_Per_Account__c', label: 'Max Quantity Per Account' },
+    { fieldName: 'Start_Date__c', label: 'Start Date', format: 'datetime' },
+    { fieldName: 'End_Date__c', label: 'End Date', format: 'datetime' },
+    { fieldName: 'Approximate_Deliver_Start_Date__c', label: 'Delivery Date', format: 'date' },
+    { fieldName: 'Description__c', label: 'Description', format: 'richtext' }
+];
+
+function formatRevisionValue(value, format) {
+    if (isBlank(value)) {
+        return EMPTY_VALUE;
+    }
+    switch (format) {
+        case 'currency':
+            return formatCurrency(value);
+        case 'datetime':
+            return formatDateTime(value);
+        case 'date':
+            return formatDate(value);
+        case 'richtext':
+            return String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Reads the snapshot of a proposal revision
+ *
+ * @param {object} revision Proposal_Revision__c with Snapshot__c
+ * @returns {{fields: object, tiers: Array<object>}} empty fields and tiers when the snapshot is missing or invalid
+ */
+export function parseRevisionSnapshot(revision) {
+    try {
+        const snapshot = JSON.parse(revision && revision.Snapshot__c);
+        return {
+            fields: (snapshot && snapshot.fields) || {},
+            tiers: (snapshot && snapshot.tiers) || []
+        };
+    } catch (e) {
+        return { fields: {}, tiers: [] };
+    }
+}
+
+/**
+ * Compares two revisions of a proposal field by field, and their discount tiers with diffTiers
+ *
+ * @param {object} older Proposal_Revision__c compared from
+ * @param {object} newer Proposal_Revision__c compared to
+ * @returns {{fields: Array<{field: string, label: string, from: string, to: string}>, tiers: object}}
+ *          fields whose displayed value changed, in form order; tiers is the diffTiers result
+ */
+export function diffProposalRevisions(older, newer) {
+    const from = parseRevisionSnapshot(older);
+    const to = parseRevisionSnapshot(newer);
+
+    // Compared as displayed, so markup-only description edits are not reported
+    const fields = REVISION_FIELDS
+        .map(({ fieldName, label, format }) => ({
+            field: fieldName,
+            label,
+            from: formatRevisionValue(from.fields[fieldName], format),
+            to: formatRevisionValue(to.fields[fieldName], format)
+        }))
+        .filter(change => change.from !== change.to);
+
+    return { fields, tiers: diffTiers(from.tiers, to.tiers) };
+}
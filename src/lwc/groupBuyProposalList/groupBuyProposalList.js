@@ -3,6 +3,20 @@ import getMyProposals from '@salesforce/apex/GroupBuyProposalController.getMyPro
 import updateProposal from '@salesforce/apex/GroupBuyProposalController.updateProposal';
 import deleteProposal from '@salesforce/apex/GroupBuyProposalController.deleteProposal';
 import createProposalApprovalCase from '@salesforce/apex/CaseController.createProposalApprovalCase';
+import {
+    getProposalStatusMeta,
+    getProposalStatusClass,
+    getProposalStatusOptions,
+    isProposalEditable,
+    isProposalDeletable,
+    canSubmitProposalForApproval,
+    isProposalRelaunchable,
+    formatApprovalReviewer,
+    formatCurrency,
+    formatDate,
+    getDeadlineBadges,
+    reduceErrors
+} from 'c/groupBuyCore';
 
 export default class GroupBuyProposalList extends LightningElement {
     @api accountId;
@@ -27,13 +41,7 @@ export default class GroupBuyProposalList extends LightningElement {
 
     statusFilterOptions = [
         { label: 'All Statuses', value: 'all' },
-        { label: 'Created', value: 'Created' },
-        { label: 'Pending Approval', value: 'Pending Approval' },
-        { label: 'Approved', value: 'Approved' },
-        { label: 'Active', value: 'Active' },
-        { label: 'Rejected', value: 'Rejected' },
-        { label: 'Expired', value: 'Expired' },
-        { label: 'Closed', value: 'Closed' }
+        ...getProposalStatusOptions()
     ];
 
     connectedCallback() {
@@ -46,7 +54,7 @@ export default class GroupBuyProposalList extends LightningElement {
         try {
             this.proposals = await getMyProposals({ accountId: this.accountId });
         } catch (error) {
-            this.fireError('Failed to load proposals');
+            this.fireError(reduceErrors(error, 'Failed to load proposals'));
             this.proposals = [];
         } finally {
             this.isLoading = false;
@@ -80,51 +88,28 @@ export default class GroupBuyProposalList extends LightningElement {
             return {
                 ...p,
                 productName: p.Product__r?.Name || 'N/A',
-                startDateFormatted: this.formatDate(p.Start_Date__c),
-                endDateFormatted: this.formatDate(p.End_Date__c),
-                deliveryDateFormatted: p.Approximate_Deliver_Start_Date__c || 'N/A',
-                basePriceFormatted: this.formatCurrency(p.Base_Price__c),
+                startDateFormatted: formatDate(p.Start_Date__c),
+                endDateFormatted: formatDate(p.End_Date__c),
+                showCountdown: !getProposalStatusMeta(p.Status__c).isFinal,
+                deadlineBadges: getDeadlineBadges(p),
+                deliveryDateFormatted: formatDate(p.Approximate_Deliver_Start_Date__c),
+                basePriceFormatted: formatCurrency(p.Base_Price__c),
                 progressValue: Math.min(100, progress),
                 progressStyle: `width: ${Math.min(100, progress)}%`,
                 progressText: `${Math.round(progress)}%`,
                 progressTextClass: isGoalReached ? 'progress-text goal-reached' : 'progress-text',
                 isGoalReached,
-                statusClass: this.getStatusClass(p.Status__c),
-                canEdit: ['Created', 'Pending Approval', 'Rejected'].includes(p.Status__c),
-                canDelete: ['Created', 'Rejected'].includes(p.Status__c),
-                canSubmit: p.Status__c === 'Created',
+                statusClass: getProposalStatusClass(p.Status__c),
+                canEdit: isProposalEditable(p.Status__c),
+                canDelete: isProposalDeletable(p.Status__c),
+                canSubmit: canSubmitProposalForApproval(p.Status__c),
+                relaunchLabel: isProposalRelaunchable(p.Status__c) ? 'Relaunch' : 'Clone',
                 bookedQuota: p.Booked_Quota__c || 0,
                 availableQuota: p.Available_Quota__c || p.Max_Quota__c
             };
         });
     }
 
-    getStatusClass(status) {
-        const classes = {
-            'Created': 'status-created',
-            'Pending Approval': 'status-pending',
-            'Approved': 'status-approved',
-            'Active': 'status-active',
-            'Rejected': 'status-rejected',
-            'Expired': 'status-expired',
-            'Closed': 'status-closed'
-        };
-        return `status-badge ${classes[status] || ''}`;
-    }
-
-    formatDate(dateStr) {
-        if (!dateStr) return 'N/A';
-        return new Date(dateStr).toLocaleDateString();
-    }
-
-    formatCurrency(value) {
-        if (value == null) return 'N/A';
-        return new Intl.NumberFormat('en-US', { 
-            style: 'currency', 
-            currency: 'USD' 
-        }).format(value);
-    }
-
     // ===============================
     // HANDLERS
     // ===============================
@@ -170,6 +155,16 @@ export default class GroupBuyProposalList extends LightningElement {
         }
     }
 
+    handleRelaunch(event) {
+        const proposalId = event.currentTarget.dataset.id;
+        const proposal = this.proposals.find(p => p.Id === proposalId);
+        if (proposal) {
+            this.dispatchEvent(new CustomEvent('relaunch', {
+                detail: { proposal }
+            }));
+        }
+    }
+
     async handleSubmitForApproval(event) {
         const proposalId = event.currentTarget.dataset.id;
         const proposal = this.proposals.find(p => p.Id === proposalId);
@@ -180,20 +175,16 @@ export default class GroupBuyProposalList extends LightningElement {
         }
 
         try {
-            // Determine case type based on proposal context
-            // If Account has Merchandiser buyer group - it's Merchandiser, otherwise B2B Buyer
-            const caseType = 'Merchandiser'; // Default to Merchandiser for seller portal
-            
-            const result = await createProposalApprovalCase({
-                proposalId: proposalId,
-                caseType: caseType
-            });
+            // The case type and review queue are resolved from the buyer groups of the account
+            const result = await createProposalApprovalCase({ proposalId });
 
-            this.fireSuccess(`Submitted for approval. Case #${result.CaseNumber} created.`);
+            this.fireSuccess(
+                `Submitted for approval to ${formatApprovalReviewer(result)}. Case #${result.caseNumber} created.`
+            );
             await this.loadProposals();
         } catch (error) {
             console.error('Error submitting for approval:', error);
-            this.fireError(error.body?.message || 'Failed to submit for approval');
+            this.fireError(reduceErrors(error, 'Failed to submit for approval'));
         }
     }
 
@@ -33,6 +33,13 @@ export default class GroupBuyProposalManager extends LightningElement {
     @track showDeleteModal = false;
     @track deleteProposal = null;
 
+    // Relaunch Modal
+    @track showRelaunchModal = false;
+    @track relaunchProposal = null;
+
+    // Draft resumed in the Drafts tab
+    @track resumeDraftId = null;
+
     // Refresh trigger
     @track refreshKey = 0;
 
@@ -147,8 +154,8 @@ export default class GroupBuyProposalManager extends LightningElement {
         const newTab = event.target.value;
         this.mainActiveTab = newTab;
         
-        // Refresh list when switching to manage tab
-        if (newTab === 'manage') {
+        // Refresh lists when switching to manage, drafts or analytics tab
+        if (newTab === 'manage' || newTab === 'drafts' || newTab === 'analytics') {
             this.refreshKey++;
         }
     }
@@ -165,6 +172,12 @@ export default class GroupBuyProposalManager extends LightningElement {
         this.refreshKey++;
     }
 
+    handleProposalsImported(event) {
+        const { count } = event.detail;
+        this.showNotification(`${count} proposals created from the import.`, 'success');
+        this.refreshKey++;
+    }
+
     handleViewProposal(event) {
         this.viewProposal = event.detail.proposal;
         this.viewProposalActiveTab = 'details';
@@ -226,6 +239,42 @@ export default class GroupBuyProposalManager extends LightningElement {
         }
     }
 
+    handleRelaunchProposal(event) {
+        this.relaunchProposal = event.detail.proposal;
+        this.showViewModal = false;
+        this.showRelaunchModal = true;
+    }
+
+    handleCloseRelaunchModal() {
+        this.showRelaunchModal = false;
+        this.relaunchProposal = null;
+    }
+
+    handleProposalRelaunched(event) {
+        const { proposal } = event.detail;
+        this.showNotification('Proposal relaunched successfully!', 'success');
+        this.showRelaunchModal = false;
+        this.relaunchProposal = null;
+        this.viewProposal = proposal;
+        this.viewProposalActiveTab = 'details';
+        this.showViewModal = true;
+        this.refreshKey++;
+    }
+
+    handleResumeDraft(event) {
+        this.resumeDraftId = event.detail.draftId;
+    }
+
+    handleCloseDraft() {
+        this.resumeDraftId = null;
+        this.refreshKey++;
+    }
+
+    handleDraftProposalCreated(event) {
+        this.resumeDraftId = null;
+        this.handleProposalCreated(event);
+    }
+
     handleSubmitForApprovalFromView(event) {
         const { message } = event.detail;
         this.showNotification(message, 'success');
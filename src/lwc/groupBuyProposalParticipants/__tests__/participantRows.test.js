@@ -0,0 +1,74 @@
+import { ORDER_STATUS } from 'c/groupBuyCore';
+import { toCsv } from 'c/groupBuyCsv';
+import {
+    PARTICIPANT_CSV_COLUMNS,
+    toParticipantRow,
+    filterParticipants,
+    sortParticipants
+} from '../participantRows';
+
+describe('Group Buy Proposal Participants: Participant Rows', () => {
+    const rows = [
+        { Id: 'o1', Name: 'CO-0001', Account__r: { Name: 'Northwind' }, Quantity__c: 10, Status__c: ORDER_STATUS.PENDING, CreatedDate: '2026-03-02T10:00:00.000Z' },
+        { Id: 'o2', Name: 'CO-0002', Account__r: { Name: 'acme' }, Quantity__c: 25, Status__c: ORDER_STATUS.WAITLISTED, CreatedDate: '2026-03-01T10:00:00.000Z' },
+        { Id: 'o3', Name: 'CO-0003', Quantity__c: 5, Status__c: ORDER_STATUS.CANCELLED, CreatedDate: '2026-03-03T10:00:00.000Z',
+            Cancellation_Reason__c: 'Duplicate, "test" order', Cancelled_By_Organizer__c: true }
+    ].map(toParticipantRow);
+
+    it('flattens an order into a participant row', () => {
+        // Act
+        const [row, , cancelled] = rows;
+
+        // Assert
+        expect(row).toEqual({
+            id: 'o1',
+            orderName: 'CO-0001',
+            accountName: 'Northwind',
+            quantity: 10,
+            status: ORDER_STATUS.PENDING,
+            joinedAt: '2026-03-02T10:00:00.000Z',
+            cancellationReason: '',
+            isCancelledByOrganizer: false
+        });
+        expect(cancelled.accountName).toBe('N/A');
+        expect(cancelled.isCancelledByOrganizer).toBe(true);
+    });
+
+    it('searches the order, account and status', () => {
+        // Act
+        const byAccount = filterParticipants(rows, ' ACME ');
+        const byOrder = filterParticipants(rows, 'co-0003');
+        const byStatus = filterParticipants(rows, 'waitlisted');
+
+        // Assert
+        expect(byAccount.map(row => row.id)).toEqual(['o2']);
+        expect(byOrder.map(row => row.id)).toEqual(['o3']);
+        expect(byStatus.map(row => row.id)).toEqual(['o2']);
+        expect(filterParticipants(rows, '')).toBe(rows);
+        expect(filterParticipants(rows, 'nobody')).toEqual([]);
+    });
+
+    it('sorts by account, quantity and join date', () => {
+        // Act
+        const byAccount = sortParticipants(rows, 'accountName');
+        const byQuantity = sortParticipants(rows, 'quantity', 'desc');
+        const byJoinDate = sortParticipants(rows, 'joinedAt');
+
+        // Assert
+        expect(byAccount.map(row => row.id)).toEqual(['o2', 'o3', 'o1']);
+        expect(byQuantity.map(row => row.id)).toEqual(['o2', 'o1', 'o3']);
+        expect(byJoinDate.map(row => row.id)).toEqual(['o2', 'o1', 'o3']);
+        expect(rows.map(row => row.id)).toEqual(['o1', 'o2', 'o3']);
+    });
+
+    it('exports the participants as CSV', () => {
+        // Act
+        const csv = toCsv(PARTICIPANT_CSV_COLUMNS, rows.slice(2));
+
+        // Assert
+        expect(csv).toBe(
+            'Order,Account,Quantity,Status,Joined,Cancellation Reason\r\n' +
+            'CO-0003,N/A,5,Cancelled,2026-03-03T10:00:00.000Z,"Duplicate, ""test"" order"'
+        );
+    });
+});
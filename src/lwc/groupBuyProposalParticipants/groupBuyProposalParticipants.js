@@ -0,0 +1,253 @@
+import { LightningElement, api, track } from 'lwc';
+import getProposalParticipants from '@salesforce/apex/ProposalParticipantController.getProposalParticipants';
+import messageProposalParticipants from '@salesforce/apex/ProposalParticipantController.messageProposalParticipants';
+import cancelParticipantOrder from '@salesforce/apex/ProposalParticipantController.cancelParticipantOrder';
+import {
+    ORDER_STATUS,
+    getOrderStatusClass,
+    isOrderModifiable,
+    formatDateTime,
+    reduceErrors
+} from 'c/groupBuyCore';
+import { toCsv, downloadCsv } from 'c/groupBuyCsv';
+import {
+    PARTICIPANT_CSV_COLUMNS,
+    toParticipantRow,
+    filterParticipants,
+    sortParticipants
+} from './participantRows';
+
+const SORTABLE_COLUMNS = [
+    { fieldName: 'accountName', label: 'Account' },
+    { fieldName: 'quantity', label: 'Quantity' },
+    { fieldName: 'status', label: 'Status' },
+    { fieldName: 'joinedAt', label: 'Joined' }
+];
+
+/**
+ * Participants tab of groupBuyProposalDetail: the orders placed on a proposal with search, sort
+ * and CSV export, and the organizer actions to message participants or cancel an order
+ */
+export default class GroupBuyProposalParticipants extends LightningElement {
+    @api proposalId;
+    @api proposalName;
+
+    @track participants = [];
+    @track searchTerm = '';
+    @track sortBy = 'joinedAt';
+    @track sortDirection = 'asc';
+    @track isLoading = false;
+    @track isSaving = false;
+    @track successMsg = '';
+    @track errorMsg = '';
+
+    // Message form
+    @track isMessaging = false;
+    @track messageSubject = '';
+    @track messageBody = '';
+
+    // Order being cancelled
+    @track cancellingId = null;
+    @track cancelReason = '';
+
+    connectedCallback() {
+        this.loadParticipants();
+    }
+
+    async loadParticipants() {
+        this.isLoading = true;
+        try {
+            const orders = await getProposalParticipants({ proposalId: this.proposalId });
+            this.participants = orders.map(toParticipantRow);
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to load the participants');
+            this.participants = [];
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get hasParticipants() {
+        return this.participants.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.errorMsg && !this.hasParticipants;
+    }
+
+    get visibleParticipants() {
+        return sortParticipants(filterParticipants(this.participants, this.searchTerm), this.sortBy, this.sortDirection);
+    }
+
+    get rows() {
+        return this.visibleParticipants.map(row => ({
+            ...row,
+            joinedFormatted: formatDateTime(row.joinedAt),
+            statusClass: getOrderStatusClass(row.status),
+            canCancel: isOrderModifiable(row.status),
+            organizerNote: row.isCancelledByOrganizer ? `Cancelled by you: ${row.cancellationReason}` : ''
+        }));
+    }
+
+    get noMatches() {
+        return this.hasParticipants && this.visibleParticipants.length === 0;
+    }
+
+    get columns() {
+        return SORTABLE_COLUMNS.map(column => {
+            const isSorted = column.fieldName === this.sortBy;
+            return {
+                ...column,
+                isSorted,
+                sortIcon: this.sortDirection === 'asc' ? 'utility:arrowup' : 'utility:arrowdown',
+                ariaSort: isSorted ? (this.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'
+            };
+        });
+    }
+
+    get summaryLabel() {
+        const active = this.participants.filter(row => row.status !== ORDER_STATUS.CANCELLED);
+        const units = active.reduce((total, row) => total + Number(row.quantity), 0);
+        return `${active.length} active orders · ${units} units`;
+    }
+
+    // Orders messaged: the visible ones that are not cancelled
+    get recipientIds() {
+        return this.visibleParticipants
+            .filter(row => row.status !== ORDER_STATUS.CANCELLED)
+            .map(row => row.id);
+    }
+
+    get messageLabel() {
+        const count = this.recipientIds.length;
+        return `Send to ${count} ${count === 1 ? 'order' : 'orders'}`;
+    }
+
+    get isMessageDisabled() {
+        return this.isSaving || this.recipientIds.length === 0;
+    }
+
+    get isSendDisabled() {
+        return this.isMessageDisabled || !this.messageSubject.trim() || !this.messageBody.trim();
+    }
+
+    get isExportDisabled() {
+        return this.visibleParticipants.length === 0;
+    }
+
+    get cancellingOrder() {
+        return this.participants.find(row => row.id === this.cancellingId);
+    }
+
+    get isCancelDisabled() {
+        return this.isSaving || !this.cancelReason.trim();
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleSearchChange(event) {
+        this.searchTerm = event.target.value;
+    }
+
+    handleSort(event) {
+        const fieldName = event.currentTarget.dataset.field;
+        if (fieldName === this.sortBy) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortBy = fieldName;
+            this.sortDirection = 'asc';
+        }
+    }
+
+    handleExport() {
+        const name = (this.proposalName || 'proposal').replace(/[^\w-]+/g, '_');
+        downloadCsv(`${name}_participants.csv`, toCsv(PARTICIPANT_CSV_COLUMNS, this.visibleParticipants));
+    }
+
+    handleMessageOpen() {
+        this.clearMessages();
+        this.cancellingId = null;
+        this.isMessaging = true;
+    }
+
+    handleMessageClose() {
+        this.isMessaging = false;
+        this.messageSubject = '';
+        this.messageBody = '';
+    }
+
+    handleSubjectChange(event) {
+        this.messageSubject = event.target.value;
+    }
+
+    handleBodyChange(event) {
+        this.messageBody = event.target.value;
+    }
+
+    async handleSend() {
+        this.clearMessages();
+        this.isSaving = true;
+        try {
+            const sent = await messageProposalParticipants({
+                proposalId: this.proposalId,
+                subject: this.messageSubject,
+                body: this.messageBody,
+                orderIds: this.recipientIds
+            });
+            this.successMsg = `Message sent to ${sent} ${sent === 1 ? 'user' : 'users'}.`;
+            this.handleMessageClose();
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to send the message');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    handleCancelOpen(event) {
+        this.clearMessages();
+        this.isMessaging = false;
+        this.cancellingId = event.currentTarget.dataset.id;
+        this.cancelReason = '';
+    }
+
+    handleCancelClose() {
+        this.cancellingId = null;
+        this.cancelReason = '';
+    }
+
+    handleReasonChange(event) {
+        this.cancelReason = event.target.value;
+    }
+
+    async handleCancelConfirm() {
+        const order = this.cancellingOrder;
+        this.clearMessages();
+        this.isSaving = true;
+        try {
+            await cancelParticipantOrder({ orderId: this.cancellingId, reason: this.cancelReason });
+            this.successMsg = `${order.orderName} of ${order.accountName} has been cancelled. The buyer sees your reason in their order history.`;
+            this.handleCancelClose();
+            await this.loadParticipants();
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to cancel the order');
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    clearMessages() {
+        this.successMsg = '';
+        this.errorMsg = '';
+    }
+
+    @api
+    refresh() {
+        return this.loadParticipants();
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Rows of the participants tab: the orders of a proposal listed to its organizer
+ * (ProposalParticipantController.getProposalParticipants).
+ */
+import { EMPTY_VALUE, parseDate } from 'c/groupBuyCore';
+
+/**
+ * Columns of the participants export, by participant row field
+ */
+export const PARTICIPANT_CSV_COLUMNS = Object.freeze([
+    { fieldName: 'orderName', label: 'Order' },
+    { fieldName: 'accountName', label: 'Account' },
+    { fieldName: 'quantity', label: 'Quantity' },
+    { fieldName: 'status', label: 'Status' },
+    { fieldName: 'joinedAt', label: 'Joined' },
+    { fieldName: 'cancellationReason', label: 'Cancellation Reason' }
+]);
+
+/**
+ * Flattens a conditional order into a participant row
+ *
+ * @param {object} order Conditional_Order__c with Account__r.Name
+ * @returns {{id: string, orderName: string, accountName: string, quantity: number, status: string,
+ *          joinedAt: string, cancellationReason: string, isCancelledByOrganizer: Boolean}}
+ */
+export function toParticipantRow(order) {
+    return {
+        id: order.Id,
+        orderName: order.Name,
+        accountName: (order.Account__r && order.Account__r.Name) || EMPTY_VALUE,
+        quantity: order.Quantity__c || 0,
+        status: order.Status__c,
+        joinedAt: order.CreatedDate,
+        cancellationReason: order.Cancellation_Reason__c || '',
+        isCancelledByOrganizer: !!order.Cancelled_By_Organizer__c
+    };
+}
+
+/**
+ * Keeps the participant rows whose order, account or status contains the search term
+ *
+ * @param {Array<object>} rows toParticipantRow results
+ * @param {string} searchTerm matched case-insensitively; all rows when blank
+ * @returns {Array<object>}
+ */
+export function filterParticipants(rows, searchTerm) {
+    const term = (searchTerm || '').trim().toLowerCase();
+    if (!term) {
+        return rows || [];
+    }
+    return (rows || []).filter(row =>
+        [row.orderName, row.accountName, row.status].some(value => String(value || '').toLowerCase().includes(term))
+    );
+}
+
+/**
+ * Sorts participant rows by a field, without changing the given list
+ *
+ * @param {Array<object>} rows toParticipantRow results
+ * @param {string} fieldName accountName, quantity, status or joinedAt
+ * @param {string} [direction='asc'] 'asc' or 'desc'
+ * @returns {Array<object>} equal values keep their order
+ */
+export function sortParticipants(rows, fieldName, direction = 'asc') {
+    const sign = direction === 'desc' ? -1 : 1;
+    const sortValue = row => {
+        const value = row[fieldName];
+        if (fieldName === 'quantity') return Number(value) || 0;
+        if (fieldName === 'joinedAt') {
+            const date = parseDate(value);
+            return date ? date.getTime() : 0;
+        }
+        return String(value || '').toLowerCase();
+    };
+    return [...(rows || [])].sort((a, b) => {
+        const left = sortValue(a);
+        const right = sortValue(b);
+        if (left === right) return 0;
+        return (left < right ? -1 : 1) * sign;
+    });
+}
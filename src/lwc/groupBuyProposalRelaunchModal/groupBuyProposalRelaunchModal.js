@@ -0,0 +1,109 @@
+import { LightningElement, api, track } from 'lwc';
+import getRelaunchParticipantCount from '@salesforce/apex/GroupBuyProposalController.getRelaunchParticipantCount';
+import relaunchProposal from '@salesforce/apex/GroupBuyProposalController.relaunchProposal';
+import { isProposalRelaunchable, parseDate, formatDateTime, reduceErrors } from 'c/groupBuyCore';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default class GroupBuyProposalRelaunchModal extends LightningElement {
+    @api proposal;
+
+    @track isLoading = true;
+    @track isSaving = false;
+    @track name = '';
+    @track startDate;
+    @track inviteParticipants = false;
+    @track participantCount = 0;
+
+    async connectedCallback() {
+        this.name = this.proposal.Name;
+        this.startDate = new Date(Date.now() + DAY_MS).toISOString();
+
+        try {
+            this.participantCount = await getRelaunchParticipantCount({ proposalId: this.proposal.Id });
+        } catch (error) {
+            console.error('Error loading participants:', error);
+        }
+        // An expired proposal is relaunched for the same buyers, a clone starts from scratch
+        this.inviteParticipants = this.participantCount > 0 && isProposalRelaunchable(this.proposal.Status__c);
+        this.isLoading = false;
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get title() {
+        return isProposalRelaunchable(this.proposal.Status__c) ? 'Relaunch Proposal' : 'Clone Proposal';
+    }
+
+    get endDateLabel() {
+        const start = parseDate(this.startDate);
+        const sourceStart = parseDate(this.proposal.Start_Date__c);
+        const sourceEnd = parseDate(this.proposal.End_Date__c);
+        if (!start || !sourceStart || !sourceEnd) {
+            return formatDateTime(null);
+        }
+        return formatDateTime(new Date(start.getTime() + (sourceEnd.getTime() - sourceStart.getTime())));
+    }
+
+    get inviteLabel() {
+        const accounts = this.participantCount === 1 ? 'account' : 'accounts';
+        return `Invite previous participants (${this.participantCount} ${accounts})`;
+    }
+
+    get isInviteDisabled() {
+        return this.participantCount === 0;
+    }
+
+    get isSaveDisabled() {
+        return this.isLoading || this.isSaving || !this.name || !this.startDate;
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleNameChange(event) {
+        this.name = event.target.value;
+    }
+
+    handleStartDateChange(event) {
+        this.startDate = event.target.value;
+    }
+
+    handleInviteChange(event) {
+        this.inviteParticipants = event.target.checked;
+    }
+
+    async handleSave() {
+        this.isSaving = true;
+
+        try {
+            const proposal = await relaunchProposal({
+                proposalId: this.proposal.Id,
+                name: this.name,
+                startDate: this.startDate,
+                inviteParticipants: this.inviteParticipants
+            });
+
+            this.dispatchEvent(new CustomEvent('relaunched', {
+                detail: { proposal }
+            }));
+        } catch (error) {
+            this.fireError(reduceErrors(error));
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    fireError(message) {
+        this.dispatchEvent(new CustomEvent('error', {
+            detail: { message }
+        }));
+    }
+}
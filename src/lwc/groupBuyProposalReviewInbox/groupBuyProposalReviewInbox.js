@@ -0,0 +1,191 @@
+import { LightningElement, api, track } from 'lwc';
+import getPendingProposals from '@salesforce/apex/ProposalApprovalController.getPendingProposals';
+import approveProposal from '@salesforce/apex/ProposalApprovalController.approveProposal';
+import rejectProposal from '@salesforce/apex/ProposalApprovalController.rejectProposal';
+import {
+    TIER_ISSUE_SEVERITY,
+    formatAccountLimits,
+    formatCurrency,
+    formatDate,
+    formatDateTime,
+    formatTierDiscount,
+    getTierUnitPrice,
+    analyzeTiers,
+    reduceErrors
+} from 'c/groupBuyCore';
+
+export default class GroupBuyProposalReviewInbox extends LightningElement {
+    @api title = 'Proposal Approvals';
+
+    @track proposals = [];
+    @track selectedId = null;
+    @track isLoading = false;
+    @track isSaving = false;
+    @track reviewNote = '';
+    @track successMsg = '';
+    @track errorMsg = '';
+
+    connectedCallback() {
+        this.loadProposals();
+    }
+
+    async loadProposals() {
+        this.isLoading = true;
+        try {
+            this.proposals = await getPendingProposals();
+            if (!this.proposals.some(p => p.Id === this.selectedId)) {
+                this.selectedId = this.proposals.length ? this.proposals[0].Id : null;
+                this.reviewNote = '';
+            }
+        } catch (error) {
+            this.errorMsg = reduceErrors(error, 'Failed to load proposals');
+            this.proposals = [];
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get hasProposals() {
+        return this.proposals.length > 0;
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.hasProposals;
+    }
+
+    get pendingCount() {
+        return this.proposals.length;
+    }
+
+    get inboxItems() {
+        return this.proposals.map(p => ({
+            Id: p.Id,
+            Name: p.Name,
+            accountName: p.Account__r?.Name || 'N/A',
+            productName: p.Product__r?.Name || 'N/A',
+            submittedFormatted: formatDate(p.LastModifiedDate),
+            itemClass: p.Id === this.selectedId ? 'inbox-item inbox-item-selected' : 'inbox-item'
+        }));
+    }
+
+    get selected() {
+        const proposal = this.proposals.find(p => p.Id === this.selectedId);
+        if (!proposal) {
+            return null;
+        }
+
+        const product = proposal.Product__r || {};
+        const tiers = proposal.Group_Proposal_Discounts__r || [];
+        const cases = proposal.Cases || [];
+
+        return {
+            ...proposal,
+            accountName: proposal.Account__r?.Name || 'N/A',
+            relaunchedFromName: proposal.Relaunched_From__r?.Name || '',
+            basePriceFormatted: formatCurrency(proposal.Base_Price__c),
+            accountLimits: formatAccountLimits(proposal) || 'No limits',
+            startDateFormatted: formatDateTime(proposal.Start_Date__c),
+            endDateFormatted: formatDateTime(proposal.End_Date__c),
+            deliveryDateFormatted: formatDate(proposal.Approximate_Deliver_Start_Date__c),
+            productName: product.Name || 'N/A',
+            productCode: product.ProductCode || 'N/A',
+            productFamily: product.Family || 'N/A',
+            productDescription: product.Description || '',
+            productInactive: product.Name && !product.IsActive,
+            tiers: tiers.map((tier, index) => ({
+                Id: tier.Id,
+                tierNumber: index + 1,
+                rangeLabel: `${tier.Min_Quota_For_Discount__c}-${tier.Max_Quota_Discount__c}`,
+                discountLabel: formatTierDiscount(tier),
+                unitPriceFormatted: formatCurrency(getTierUnitPrice(tier, proposal.Base_Price__c))
+            })),
+            hasTiers: tiers.length > 0,
+            tierIssues: analyzeTiers(tiers, proposal).map((issue, index) => ({
+                ...issue,
+                key: `${issue.type}-${index}`,
+                itemClass: issue.severity === TIER_ISSUE_SEVERITY.ERROR
+                    ? 'issue-item issue-error'
+                    : 'issue-item issue-warning'
+            })),
+            caseLabel: cases.length
+                ? cases.map(c => `#${c.CaseNumber}`).join(', ')
+                : 'No open case'
+        };
+    }
+
+    get hasTierIssues() {
+        return this.selected && this.selected.tierIssues.length > 0;
+    }
+
+    get isReviewDisabled() {
+        return this.isSaving;
+    }
+
+    get isRejectDisabled() {
+        return this.isSaving || !this.reviewNote.trim();
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleSelect(event) {
+        this.selectedId = event.currentTarget.dataset.id;
+        this.reviewNote = '';
+        this.clearMessages();
+    }
+
+    handleNoteChange(event) {
+        this.reviewNote = event.target.value;
+    }
+
+    handleRefresh() {
+        this.clearMessages();
+        this.loadProposals();
+    }
+
+    async handleApprove() {
+        await this.review(
+            () => approveProposal({ proposalId: this.selectedId, comment: this.reviewNote }),
+            'approved'
+        );
+    }
+
+    async handleReject() {
+        if (!this.reviewNote.trim()) {
+            this.errorMsg = 'Please provide a rejection reason.';
+            return;
+        }
+        await this.review(
+            () => rejectProposal({ proposalId: this.selectedId, reason: this.reviewNote }),
+            'rejected'
+        );
+    }
+
+    async review(action, decision) {
+        this.clearMessages();
+        this.isSaving = true;
+
+        try {
+            const result = await action();
+            this.successMsg = `${result.Name} ${decision}. Its approval case has been closed.`;
+            this.dispatchEvent(new CustomEvent('review', {
+                detail: { proposal: result }
+            }));
+            await this.loadProposals();
+        } catch (error) {
+            this.errorMsg = reduceErrors(error);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    clearMessages() {
+        this.successMsg = '';
+        this.errorMsg = '';
+    }
+}
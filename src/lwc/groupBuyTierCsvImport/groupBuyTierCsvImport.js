@@ -0,0 +1,225 @@
+import { LightningElement, api, track } from 'lwc';
+import { TIER_ISSUE_SEVERITY, analyzeTiers, formatTierDiscount } from 'c/groupBuyCore';
+import {
+    TIER_CSV_COLUMNS,
+    parseCsv,
+    guessTierCsvMapping,
+    mapTierCsvRows,
+    validateTierRow,
+    getTierOverlapError,
+    diffTiers
+} from 'c/groupBuyCsv';
+
+const STEP = {
+    UPLOAD: 'upload',
+    MAP: 'map',
+    PREVIEW: 'preview'
+};
+
+const NOT_MAPPED = '-1';
+
+const STATUS_META = {
+    insert: { label: 'New', className: 'diff-badge diff-insert' },
+    update: { label: 'Update', className: 'diff-badge diff-update' },
+    unchanged: { label: 'Unchanged', className: 'diff-badge diff-unchanged' }
+};
+
+/**
+ * Imports discount tiers from a CSV file: column mapping, then a preview of the tiers to insert,
+ * update and delete with the errors of each line. The tiers are checked with the rules of the
+ * tier editor and the tier analysis; nothing is saved here, the parent saves the `import` event
+ * detail: { tiers, deletedIds }.
+ */
+export default class GroupBuyTierCsvImport extends LightningElement {
+    // Tiers being edited in the parent, compared with the imported ones
+    @api currentTiers = [];
+    // Group_Buy_Proposal__c Base_Price__c, Min_Quota__c and Max_Quota__c for the checks
+    @api basePrice;
+    @api minQuota;
+    @api maxQuota;
+
+    @track step = STEP.UPLOAD;
+    @track fileName = '';
+    @track headers = [];
+    @track lines = [];
+    @track mapping = {};
+    @track errorMsg = '';
+
+    // ===============================
+    // GETTERS
+    // ===============================
+
+    get isUploadStep() {
+        return this.step === STEP.UPLOAD;
+    }
+
+    get isMapStep() {
+        return this.step === STEP.MAP;
+    }
+
+    get isPreviewStep() {
+        return this.step === STEP.PREVIEW;
+    }
+
+    get headerOptions() {
+        return [
+            { label: '-- Not mapped --', value: NOT_MAPPED },
+            ...this.headers.map((header, index) => ({ label: header || `Column ${index + 1}`, value: String(index) }))
+        ];
+    }
+
+    get mappingFields() {
+        return TIER_CSV_COLUMNS.map(column => ({
+            fieldName: column.fieldName,
+            label: column.label,
+            value: String(this.mapping[column.fieldName])
+        }));
+    }
+
+    get isPreviewDisabled() {
+        return this.mapping.Min_Quota_For_Discount__c < 0 || this.mapping.Max_Quota_Discount__c < 0;
+    }
+
+    get importedTiers() {
+        return mapTierCsvRows(this.lines, this.mapping);
+    }
+
+    get preview() {
+        const tiers = this.importedTiers;
+        const rowErrors = tiers.map(tier => validateTierRow(tier, this.basePrice));
+        const setErrors = [];
+
+        // Checks across tiers only make sense once every line is valid
+        if (rowErrors.every(errors => errors.length === 0)) {
+            const overlapError = getTierOverlapError(tiers);
+            if (overlapError) {
+                setErrors.push(overlapError);
+            }
+            analyzeTiers(tiers, {
+                Min_Quota__c: this.minQuota,
+                Max_Quota__c: this.maxQuota,
+                Base_Price__c: this.basePrice
+            })
+                .filter(issue => issue.severity === TIER_ISSUE_SEVERITY.ERROR)
+                .forEach(issue => rowErrors[issue.tierIndex].push(issue.message));
+        }
+
+        const diff = diffTiers(this.currentTiers, tiers);
+        const statusByLine = new Map();
+        diff.inserts.forEach(tier => statusByLine.set(tier.csvLine, { status: 'insert', tier }));
+        diff.updates.forEach(update => statusByLine.set(update.tier.csvLine, { status: 'update', tier: update.tier, changes: update.changes }));
+        diff.unchanged.forEach(tier => statusByLine.set(tier.csvLine, { status: 'unchanged', tier }));
+
+        const rows = tiers.map((tier, index) => {
+            const { status, changes } = statusByLine.get(tier.csvLine);
+            const errors = rowErrors[index];
+            return {
+                key: `line-${tier.csvLine}`,
+                csvLine: tier.csvLine,
+                range: `${tier.Min_Quota_For_Discount__c}-${tier.Max_Quota_Discount__c}`,
+                discountLabel: errors.length > 0 ? '' : formatTierDiscount(tier),
+                statusLabel: STATUS_META[status].label,
+                statusClass: STATUS_META[status].className,
+                changesText: (changes || [])
+                    .map(change => `${change.label}: ${this.formatValue(change.from)} → ${this.formatValue(change.to)}`)
+                    .join(', '),
+                errors: errors.map((message, i) => ({ key: `${tier.csvLine}-${i}`, message })),
+                hasErrors: errors.length > 0,
+                rowClass: errors.length > 0 ? 'preview-row preview-row-error' : 'preview-row'
+            };
+        });
+
+        const deletes = diff.deletes.map((tier, index) => ({
+            key: `delete-${index}`,
+            range: `${tier.Min_Quota_For_Discount__c}-${tier.Max_Quota_Discount__c}`,
+            discountLabel: formatTierDiscount(tier)
+        }));
+
+        const errorCount = rowErrors.filter(errors => errors.length > 0).length + setErrors.length;
+
+        return {
+            rows,
+            deletes,
+            hasDeletes: deletes.length > 0,
+            setErrors,
+            hasSetErrors: setErrors.length > 0,
+            errorCount,
+            summary: `${diff.inserts.length} new, ${diff.updates.length} updated, ` +
+                `${diff.deletes.length} deleted, ${diff.unchanged.length} unchanged`,
+            diff
+        };
+    }
+
+    get isImportDisabled() {
+        return this.lines.length === 0 || this.preview.errorCount > 0;
+    }
+
+    // ===============================
+    // HANDLERS
+    // ===============================
+
+    handleFileChange(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+
+        this.errorMsg = '';
+        this.fileName = file.name;
+
+        const reader = new FileReader();
+        reader.onload = () => this.loadCsv(reader.result);
+        reader.onerror = () => {
+            this.errorMsg = `Could not read ${file.name}.`;
+        };
+        reader.readAsText(file);
+    }
+
+    loadCsv(text) {
+        const [headers, ...lines] = parseCsv(text);
+        if (!headers || lines.length === 0) {
+            this.errorMsg = 'The file needs a header line and at least one tier.';
+            return;
+        }
+
+        this.headers = headers;
+        this.lines = lines;
+        this.mapping = guessTierCsvMapping(headers);
+        this.step = STEP.MAP;
+    }
+
+    handleMappingChange(event) {
+        this.mapping = {
+            ...this.mapping,
+            [event.target.dataset.field]: parseInt(event.detail.value, 10)
+        };
+    }
+
+    handleShowPreview() {
+        this.step = STEP.PREVIEW;
+    }
+
+    handleBackToMapping() {
+        this.step = STEP.MAP;
+    }
+
+    handleCancel() {
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    handleImport() {
+        const { diff } = this.preview;
+        const byLine = (a, b) => a.csvLine - b.csvLine;
+
+        const tiers = [...diff.inserts, ...diff.updates.map(update => update.tier), ...diff.unchanged]
+            .sort(byLine)
+            .map(({ csvLine, ...tier }) => tier);
+        const deletedIds = diff.deletes.filter(tier => tier.Id).map(tier => tier.Id);
+
+        this.dispatchEvent(new CustomEvent('import', {
+            detail: { tiers, deletedIds }
+        }));
+    }
+
+    formatValue(value) {
+        return value === null || value === undefined || value === '' ? '(blank)' : value;
+    }
+}
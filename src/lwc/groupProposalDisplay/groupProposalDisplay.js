@@ -5,9 +5,35 @@ import { CurrentPageReference } from 'lightning/navigation';
 // Apex methods
 import getProposalDetails from '@salesforce/apex/GroupProposalController.getProposalDetails';
 import getExistingOrder from '@salesforce/apex/GroupProposalController.getExistingOrder';
-import createConditionalOrder from '@salesforce/apex/GroupProposalController.createConditionalOrder';
+import tokenizePaymentMethod from '@salesforce/apex/GroupProposalController.tokenizePaymentMethod';
+import createPaidConditionalOrder from '@salesforce/apex/GroupProposalController.createPaidConditionalOrder';
 import updateConditionalOrder from '@salesforce/apex/GroupProposalController.updateConditionalOrder';
 import cancelConditionalOrder from '@salesforce/apex/GroupProposalController.cancelConditionalOrder';
+import joinWaitlist from '@salesforce/apex/GroupProposalController.joinWaitlist';
+import getWaitlistPositions from '@salesforce/apex/GroupProposalController.getWaitlistPositions';
+import getProposalQuotaSnapshots from '@salesforce/apex/GroupProposalController.getProposalQuotaSnapshots';
+
+import { subscribeToProposalChanges } from 'c/groupBuyLiveUpdates';
+
+import {
+    ORDER_STATUS,
+    ORDER_RESULT_CODE,
+    getProposalStatusClass,
+    formatWaitlistPosition,
+    getOrderQuantityRange,
+    formatAccountLimits,
+    getCardPaymentInfo,
+    getPaymentNotice,
+    formatDiscount,
+    formatTierDiscount,
+    getTierUnitPrice,
+    formatCurrency,
+    formatDate,
+    formatDateTime,
+    getDeadlineBadges,
+    sanitizeRichText,
+    reduceErrors
+} from 'c/groupBuyCore';
 
 export default class GroupProposalDisplay extends LightningElement {
     // Public properties - set from Experience Builder or parent component
@@ -18,19 +44,31 @@ export default class GroupProposalDisplay extends LightningElement {
     // Tracked properties for reactivity
     @track proposalDetails = null;
     @track existingOrder = null;
+    @track waitlistPosition = null;
     @track orderQuantity = 1;
+    @track waitlistQuantity = 1;
     @track modifyQuantity = 1;
     @track showModifyModal = false;
     @track isLoading = true;
     @track isProcessing = false;
     @track error = null;
 
+    _isConnected = false;
+    _stopLiveUpdates = null;
+
     // ================================
     // LIFECYCLE HOOKS
     // ================================
 
     connectedCallback() {
+        this._isConnected = true;
         this.loadProposalData();
+        this.startLiveUpdates();
+    }
+
+    disconnectedCallback() {
+        this._isConnected = false;
+        this.stopLiveUpdates();
     }
 
     renderedCallback() {
@@ -59,7 +97,7 @@ export default class GroupProposalDisplay extends LightningElement {
             this.proposalDetails.proposal.Description__c) {
             const container = this.template.querySelector('.description-content');
             if (container) {
-                container.innerHTML = this.proposalDetails.proposal.Description__c;
+                container.innerHTML = sanitizeRichText(this.proposalDetails.proposal.Description__c);
             }
         }
     }
@@ -83,26 +121,113 @@ export default class GroupProposalDisplay extends LightningElement {
         try {
             // Load proposal details
             this.proposalDetails = await getProposalDetails({ proposalId: propId });
+            this.orderQuantity = this.clampQuantity(this.orderQuantity, this.orderQuantityRange);
+            this.waitlistQuantity = this.clampQuantity(this.waitlistQuantity, this.waitlistQuantityRange);
 
             // Load existing order if we have account context
             if (this.effectiveAccountId) {
-                this.existingOrder = await getExistingOrder({
-                    proposalId: propId,
-                    accountId: this.effectiveAccountId
-                });
-
-                if (this.existingOrder && this.existingOrder.Quantity__c) {
-                    this.modifyQuantity = this.existingOrder.Quantity__c;
-                }
+                await this.loadExistingOrder(propId);
             }
         } catch (err) {
             console.error('Error loading proposal:', err);
-            this.error = this.reduceErrors(err);
+            this.error = reduceErrors(err);
         } finally {
             this.isLoading = false;
         }
     }
 
+    async loadExistingOrder(propId) {
+        this.existingOrder = await getExistingOrder({
+            proposalId: propId,
+            accountId: this.effectiveAccountId
+        });
+
+        if (this.existingOrder && this.existingOrder.Quantity__c) {
+            this.modifyQuantity = this.existingOrder.Quantity__c;
+        }
+
+        this.waitlistPosition = null;
+        if (this.isExistingOrderWaitlisted) {
+            const positions = await getWaitlistPositions({ orderIds: [this.existingOrder.Id] });
+            this.waitlistPosition = positions ? positions[this.existingOrder.Id] : null;
+        }
+    }
+
+    // ================================
+    // LIVE UPDATES
+    // ================================
+
+    async startLiveUpdates() {
+        const stop = await subscribeToProposalChanges((changedProposalId) => {
+            this.handleProposalChange(changedProposalId);
+        });
+
+        // The component may have been removed while subscribing
+        if (!this._isConnected) {
+            stop();
+            return;
+        }
+        this._stopLiveUpdates = stop;
+    }
+
+    stopLiveUpdates() {
+        if (this._stopLiveUpdates) {
+            this._stopLiveUpdates();
+            this._stopLiveUpdates = null;
+        }
+    }
+
+    handleProposalChange(changedProposalId) {
+        const propId = this.recordId || this.proposalId;
+        // Own actions reload the whole proposal when they complete
+        if (!propId || this.isProcessing || (changedProposalId && changedProposalId !== propId)) {
+            return;
+        }
+        this.refreshQuota(propId);
+    }
+
+    async refreshQuota(propId) {
+        if (!this.proposalDetails) {
+            return;
+        }
+
+        try {
+            const snapshots = await getProposalQuotaSnapshots({ proposalIds: [propId] });
+            if (snapshots && snapshots.length > 0) {
+                this.applyQuotaSnapshot(snapshots[0]);
+            }
+
+            // The waitlisted order may have moved up or been promoted
+            if (this.isExistingOrderWaitlisted) {
+                await this.loadExistingOrder(propId);
+            }
+        } catch (err) {
+            console.error('Error refreshing quota:', err);
+        }
+    }
+
+    applyQuotaSnapshot(snapshot) {
+        this.proposalDetails = {
+            ...this.proposalDetails,
+            proposal: {
+                ...this.proposalDetails.proposal,
+                Status__c: snapshot.status,
+                Booked_Quota__c: snapshot.bookedQuota
+            },
+            availableQuota: snapshot.availableQuota,
+            progressPercentage: snapshot.progressPercentage,
+            isMinQuotaReached: snapshot.isMinQuotaReached,
+            isActive: snapshot.isActive,
+            isExpired: snapshot.isExpired,
+            hasAvailableQuota: snapshot.hasAvailableQuota,
+            canOrder: snapshot.canOrder,
+            currentTierId: snapshot.currentTierId,
+            currentDiscount: snapshot.currentDiscount
+        };
+
+        this.orderQuantity = this.clampQuantity(this.orderQuantity, this.orderQuantityRange);
+    }
+
     // ================================
     // GETTERS - PROPOSAL INFO
     // ================================
@@ -128,11 +253,7 @@ export default class GroupProposalDisplay extends LightningElement {
     }
 
     get statusBadgeClass() {
-        const status = (this.proposalStatus || '').toLowerCase();
-        if (status === 'active') return 'badge badge-active';
-        if (status === 'closed' || status === 'expired') return 'badge badge-closed';
-        if (status === 'pending approval') return 'badge badge-pending';
-        return 'badge badge-default';
+        return getProposalStatusClass(this.proposalStatus, { base: 'badge', prefix: 'badge' });
     }
 
     get productName() {
@@ -150,18 +271,30 @@ export default class GroupProposalDisplay extends LightningElement {
         return this.proposal ? (this.proposal.Type__c || 'Not specified') : 'Not specified';
     }
 
+    get paymentNotice() {
+        return this.proposal ? getPaymentNotice(this.proposal.Type__c) : '';
+    }
+
+    get waitlistPaymentNotice() {
+        return this.proposal ? getPaymentNotice(this.proposal.Type__c, true) : '';
+    }
+
     // ================================
     // GETTERS - DATES
     // ================================
 
     get endDateFormatted() {
         if (!this.proposal || !this.proposal.End_Date__c) return null;
-        return this.formatDateTime(this.proposal.End_Date__c);
+        return formatDateTime(this.proposal.End_Date__c, null);
+    }
+
+    get deadlineBadges() {
+        return getDeadlineBadges(this.proposal);
     }
 
     get deliveryDateFormatted() {
         if (!this.proposal || !this.proposal.Approximate_Deliver_Start_Date__c) return null;
-        return this.formatDate(this.proposal.Approximate_Deliver_Start_Date__c);
+        return formatDate(this.proposal.Approximate_Deliver_Start_Date__c, null);
     }
 
     // ================================
@@ -217,6 +350,14 @@ export default class GroupProposalDisplay extends LightningElement {
         return this.proposalDetails && this.proposalDetails.canOrder && this.effectiveAccountId;
     }
 
+    get canJoinWaitlist() {
+        return !!(this.proposalDetails &&
+            this.effectiveAccountId &&
+            this.proposalDetails.isActive &&
+            !this.proposalDetails.isExpired &&
+            !this.proposalDetails.hasAvailableQuota);
+    }
+
     get unavailableReason() {
         if (!this.effectiveAccountId) {
             return 'Please log in to join this group buy';
@@ -248,16 +389,17 @@ export default class GroupProposalDisplay extends LightningElement {
 
         const tiers = this.proposalDetails.discountTiers;
         const currentTierId = this.proposalDetails.currentTierId;
+        const basePrice = this.proposal ? this.proposal.Base_Price__c : null;
 
         return tiers.map(tier => {
             const minQty = tier.Min_Quota_For_Discount__c || 0;
             const maxQty = tier.Max_Quota_Discount__c || '∞';
             const isCurrent = tier.Id === currentTierId;
-            const discount = tier.Discount__c || 0;
 
             return {
                 id: tier.Id,
-                discountFormatted: discount + '% OFF',
+                discountFormatted: formatTierDiscount(tier),
+                unitPriceFormatted: formatCurrency(getTierUnitPrice(tier, basePrice)),
                 minQty: minQty,
                 maxQty: maxQty,
                 isCurrent: isCurrent,
@@ -272,7 +414,7 @@ export default class GroupProposalDisplay extends LightningElement {
 
     get currentDiscountFormatted() {
         if (!this.currentDiscount) return null;
-        return this.currentDiscount + '% OFF';
+        return formatDiscount(this.currentDiscount);
     }
 
     // ================================
@@ -283,6 +425,10 @@ export default class GroupProposalDisplay extends LightningElement {
         return this.existingOrder !== null && this.existingOrder !== undefined;
     }
 
+    get existingOrderPaymentStatus() {
+        return this.existingOrder ? this.existingOrder.Payment_Status__c : null;
+    }
+
     get existingOrderName() {
         return this.existingOrder ? this.existingOrder.Name : '';
     }
@@ -291,20 +437,91 @@ export default class GroupProposalDisplay extends LightningElement {
         return this.existingOrder ? (this.existingOrder.Quantity__c || 0) : 0;
     }
 
+    get isExistingOrderWaitlisted() {
+        return !!this.existingOrder && this.existingOrder.Status__c === ORDER_STATUS.WAITLISTED;
+    }
+
+    get existingOrderTitle() {
+        return this.isExistingOrderWaitlisted ? 'You\'re on the Waitlist' : 'You\'re In!';
+    }
+
+    get existingOrderIcon() {
+        return this.isExistingOrderWaitlisted ? 'utility:clock' : 'utility:check';
+    }
+
+    get existingOrderCardClass() {
+        return 'existing-order-card' + (this.isExistingOrderWaitlisted ? ' waitlisted' : '');
+    }
+
+    get waitlistPositionLabel() {
+        return formatWaitlistPosition(this.waitlistPosition);
+    }
+
     get availableQuotaForModify() {
         return this.availableQuota + this.existingOrderQuantity;
     }
 
+    // Waitlisted orders do not book quota, so only the per-account limits apply
+    get modifyQuantityRange() {
+        return getOrderQuantityRange(
+            this.proposal,
+            this.isExistingOrderWaitlisted ? Infinity : this.availableQuotaForModify
+        );
+    }
+
+    get modifyMinQuantity() {
+        return this.modifyQuantityRange.min;
+    }
+
+    get modifyMaxQuantity() {
+        const max = this.modifyQuantityRange.max;
+        return Number.isFinite(max) ? max : null;
+    }
+
     // ================================
     // GETTERS - QUANTITY INPUT
     // ================================
 
+    get orderQuantityRange() {
+        return getOrderQuantityRange(this.proposal, this.availableQuota);
+    }
+
+    get minOrderQuantity() {
+        return this.orderQuantityRange.min;
+    }
+
+    get maxOrderQuantity() {
+        return this.orderQuantityRange.max;
+    }
+
+    get accountLimitsLabel() {
+        return formatAccountLimits(this.proposal);
+    }
+
+    // Waitlisted orders do not book quota, so only the per-account limits apply
+    get waitlistQuantityRange() {
+        return getOrderQuantityRange(this.proposal, Infinity);
+    }
+
+    get waitlistMinQuantity() {
+        return this.waitlistQuantityRange.min;
+    }
+
+    get waitlistMaxQuantity() {
+        const max = this.waitlistQuantityRange.max;
+        return Number.isFinite(max) ? max : null;
+    }
+
     get isMinQuantity() {
-        return this.orderQuantity <= 1;
+        return this.orderQuantity <= this.minOrderQuantity;
     }
 
     get isMaxQuantity() {
-        return this.orderQuantity >= this.availableQuota;
+        return this.orderQuantity >= this.maxOrderQuantity;
+    }
+
+    clampQuantity(quantity, { min, max }) {
+        return Math.min(Math.max(quantity, min), max);
     }
 
     // ================================
@@ -313,19 +530,18 @@ export default class GroupProposalDisplay extends LightningElement {
 
     handleQuantityChange(event) {
         let val = parseInt(event.target.value, 10);
-        if (isNaN(val) || val < 1) val = 1;
-        if (val > this.availableQuota) val = this.availableQuota;
-        this.orderQuantity = val;
+        if (isNaN(val)) val = this.minOrderQuantity;
+        this.orderQuantity = this.clampQuantity(val, this.orderQuantityRange);
     }
 
     handleIncreaseQuantity() {
-        if (this.orderQuantity < this.availableQuota) {
+        if (this.orderQuantity < this.maxOrderQuantity) {
             this.orderQuantity = this.orderQuantity + 1;
         }
     }
 
     handleDecreaseQuantity() {
-        if (this.orderQuantity > 1) {
+        if (this.orderQuantity > this.minOrderQuantity) {
             this.orderQuantity = this.orderQuantity - 1;
         }
     }
@@ -340,18 +556,32 @@ export default class GroupProposalDisplay extends LightningElement {
             return;
         }
 
-        if (this.orderQuantity < 1 || this.orderQuantity > this.availableQuota) {
+        // The range never drops below the per-account minimum, so check the quota too
+        const { min, max } = this.orderQuantityRange;
+        if (this.orderQuantity < min || this.orderQuantity > max || this.orderQuantity > this.availableQuota) {
             this.showToast('Error', 'Please enter a valid quantity', 'error');
             return;
         }
 
+        const cardComponent = this.template.querySelector('c-card-payment-method');
+        if (!cardComponent || !cardComponent.reportValidity()) {
+            return;
+        }
+
         this.isProcessing = true;
 
         try {
-            const result = await createConditionalOrder({
+            // Tokenized in its own call: the card callout cannot follow the order insert
+            const paymentMethodId = await tokenizePaymentMethod({
+                paymentInfo: getCardPaymentInfo(cardComponent),
+                billingAddress: null
+            });
+
+            const result = await createPaidConditionalOrder({
                 proposalId: this.recordId || this.proposalId,
                 accountId: this.effectiveAccountId,
-                quantity: this.orderQuantity
+                quantity: this.orderQuantity,
+                paymentMethodId
             });
 
             if (result.success) {
@@ -368,12 +598,95 @@ export default class GroupProposalDisplay extends LightningElement {
 
                 // Reload data
                 await this.loadProposalData();
+            } else if (result.resultCode === ORDER_RESULT_CODE.QUOTA_EXHAUSTED) {
+                await this.handleQuotaExhausted(result);
+            } else if (result.resultCode === ORDER_RESULT_CODE.PAYMENT_DECLINED) {
+                this.showToast('Payment Declined', result.message, 'error');
             } else {
                 this.showToast('Error', result.message || 'Failed to join group buy', 'error');
             }
         } catch (err) {
             console.error('Error creating order:', err);
-            this.showToast('Error', this.reduceErrors(err), 'error');
+            this.showToast('Error', reduceErrors(err), 'error');
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Other buyers booked the quota before this request was saved:
+     * refresh the proposal (which also clamps the quantity) and show what is actually left
+     */
+    async handleQuotaExhausted(result) {
+        await this.refreshQuota(this.recordId || this.proposalId);
+
+        if (result.availableQuota > 0) {
+            this.showToast(
+                'Quota Changed',
+                `Other buyers just joined. Only ${result.availableQuota} units are still available.`,
+                'warning'
+            );
+        } else {
+            this.showToast('Quota Changed', result.message, 'warning');
+        }
+    }
+
+    // ================================
+    // EVENT HANDLERS - WAITLIST
+    // ================================
+
+    handleWaitlistQuantityChange(event) {
+        let val = parseInt(event.target.value, 10);
+        if (isNaN(val)) val = this.waitlistMinQuantity;
+        this.waitlistQuantity = this.clampQuantity(val, this.waitlistQuantityRange);
+    }
+
+    async handleJoinWaitlist() {
+        if (!this.effectiveAccountId) {
+            this.showToast('Error', 'Please log in to join this group buy', 'error');
+            return;
+        }
+
+        const cardComponent = this.template.querySelector('c-card-payment-method');
+        if (!cardComponent || !cardComponent.reportValidity()) {
+            return;
+        }
+
+        this.isProcessing = true;
+
+        try {
+            // The card is kept on the waitlisted order and authorized once the order is placed
+            const paymentMethodId = await tokenizePaymentMethod({
+                paymentInfo: getCardPaymentInfo(cardComponent),
+                billingAddress: null
+            });
+
+            const result = await joinWaitlist({
+                proposalId: this.recordId || this.proposalId,
+                accountId: this.effectiveAccountId,
+                quantity: this.waitlistQuantity,
+                paymentMethodId
+            });
+
+            if (result.success) {
+                this.showToast('Success', result.message, 'success');
+
+                this.dispatchEvent(new CustomEvent('waitlistjoined', {
+                    detail: {
+                        orderId: result.order ? result.order.Id : null,
+                        orderName: result.order ? result.order.Name : null,
+                        quantity: this.waitlistQuantity,
+                        position: result.waitlistPosition
+                    }
+                }));
+
+                await this.loadProposalData();
+            } else {
+                this.showToast('Error', result.message || 'Failed to join the waitlist', 'error');
+            }
+        } catch (err) {
+            console.error('Error joining waitlist:', err);
+            this.showToast('Error', reduceErrors(err), 'error');
         } finally {
             this.isProcessing = false;
         }
@@ -394,13 +707,12 @@ export default class GroupProposalDisplay extends LightningElement {
 
     handleModifyQuantityChange(event) {
         let val = parseInt(event.target.value, 10);
-        if (isNaN(val) || val < 1) val = 1;
-        if (val > this.availableQuotaForModify) val = this.availableQuotaForModify;
-        this.modifyQuantity = val;
+        if (isNaN(val)) val = this.modifyMinQuantity;
+        this.modifyQuantity = this.clampQuantity(val, this.modifyQuantityRange);
     }
 
     async handleUpdateOrder() {
-        if (this.modifyQuantity < 1) {
+        if (this.modifyQuantity < this.modifyMinQuantity) {
             this.showToast('Error', 'Please enter a valid quantity', 'error');
             return;
         }
@@ -417,12 +729,17 @@ export default class GroupProposalDisplay extends LightningElement {
                 this.showToast('Success', result.message, 'success');
                 this.showModifyModal = false;
                 await this.loadProposalData();
+            } else if (result.resultCode === ORDER_RESULT_CODE.QUOTA_EXHAUSTED) {
+                await this.handleQuotaExhausted(result);
+                this.modifyQuantity = this.clampQuantity(this.modifyQuantity, this.modifyQuantityRange);
+            } else if (result.resultCode === ORDER_RESULT_CODE.PAYMENT_DECLINED) {
+                this.showToast('Payment Declined', result.message, 'error');
             } else {
                 this.showToast('Error', result.message || 'Failed to update order', 'error');
             }
         } catch (err) {
             console.error('Error updating order:', err);
-            this.showToast('Error', this.reduceErrors(err), 'error');
+            this.showToast('Error', reduceErrors(err), 'error');
         } finally {
             this.isProcessing = false;
         }
@@ -457,7 +774,7 @@ export default class GroupProposalDisplay extends LightningElement {
             }
         } catch (err) {
             console.error('Error cancelling order:', err);
-            this.showToast('Error', this.reduceErrors(err), 'error');
+            this.showToast('Error', reduceErrors(err), 'error');
         } finally {
             this.isProcessing = false;
         }
@@ -467,28 +784,6 @@ export default class GroupProposalDisplay extends LightningElement {
     // UTILITY METHODS
     // ================================
 
-    formatDate(dateStr) {
-        if (!dateStr) return '';
-        const d = new Date(dateStr);
-        return d.toLocaleDateString(undefined, {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
-    }
-
-    formatDateTime(dateTimeStr) {
-        if (!dateTimeStr) return '';
-        const d = new Date(dateTimeStr);
-        return d.toLocaleDateString(undefined, {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-    }
-
     showToast(title, message, variant) {
         this.dispatchEvent(new ShowToastEvent({
             title: title,
@@ -497,16 +792,6 @@ export default class GroupProposalDisplay extends LightningElement {
         }));
     }
 
-    reduceErrors(error) {
-        if (typeof error === 'string') return error;
-        if (error && error.body && error.body.message) return error.body.message;
-        if (error && error.message) return error.message;
-        if (error && error.body && Array.isArray(error.body)) {
-            return error.body.map(function(e) { return e.message; }).join(', ');
-        }
-        return 'An unexpected error occurred';
-    }
-
     // ================================
     // PUBLIC API
     // ================================
@@ -6,9 +6,30 @@ import { getSessionContext } from 'commerce/contextApi';
 // Apex methods
 import getProposalsByProduct from '@salesforce/apex/GroupProposalController.getProposalsByProduct';
 import getExistingOrdersForProduct from '@salesforce/apex/GroupProposalController.getExistingOrdersForProduct';
-import createConditionalOrder from '@salesforce/apex/GroupProposalController.createConditionalOrder';
+import tokenizePaymentMethod from '@salesforce/apex/GroupProposalController.tokenizePaymentMethod';
+import createPaidConditionalOrder from '@salesforce/apex/GroupProposalController.createPaidConditionalOrder';
 import updateConditionalOrder from '@salesforce/apex/GroupProposalController.updateConditionalOrder';
 import cancelConditionalOrder from '@salesforce/apex/GroupProposalController.cancelConditionalOrder';
+import joinWaitlist from '@salesforce/apex/GroupProposalController.joinWaitlist';
+import getWaitlistPositions from '@salesforce/apex/GroupProposalController.getWaitlistPositions';
+import getProposalQuotaSnapshots from '@salesforce/apex/GroupProposalController.getProposalQuotaSnapshots';
+
+import { subscribeToProposalChanges } from 'c/groupBuyLiveUpdates';
+
+import {
+    ORDER_STATUS,
+    ORDER_RESULT_CODE,
+    formatWaitlistPosition,
+    getOrderQuantityRange,
+    formatAccountLimits,
+    getCardPaymentInfo,
+    getPaymentNotice,
+    formatDiscount,
+    formatTierDiscount,
+    formatDateTime,
+    getDeadlineBadges,
+    reduceErrors
+} from 'c/groupBuyCore';
 
 export default class ProductGroupProposals extends LightningElement {
     // Session context
@@ -36,6 +57,7 @@ export default class ProductGroupProposals extends LightningElement {
     // Tracked state
     @track proposals = [];
     @track existingOrders = {};
+    @track waitlistPositions = {};
     @track quantities = {};
     @track processingProposals = {};
     @track isLoading = true;
@@ -49,22 +71,38 @@ export default class ProductGroupProposals extends LightningElement {
     @track showModifyModal = false;
     @track modifyProposalId = null;
     @track modifyQuantity = 1;
+    @track modifyMinQuantity = 1;
+    // null when the order is waitlisted without a per-account maximum, which accepts any quantity
     @track modifyMaxQuantity = 1;
     @track isProcessing = false;
 
+    // Payment Modal state
+    @track showPaymentModal = false;
+    @track paymentProposalId = null;
+    // The payment modal also takes the card of waitlist joins
+    @track isWaitlistPayment = false;
+
     // Cancel Confirmation Modal state
     @track showCancelModal = false;
     @track cancelProposalId = null;
 
+    // Live updates
+    _isConnected = false;
+    _stopLiveUpdates = null;
+
     // ================================
     // LIFECYCLE
     // ================================
 
     async connectedCallback() {
+        this._isConnected = true;
+        this.startLiveUpdates();
         await this.loadSessionContext();
     }
 
     disconnectedCallback() {
+        this._isConnected = false;
+        this.stopLiveUpdates();
         if (this.notificationTimeout) {
             clearTimeout(this.notificationTimeout);
         }
@@ -164,6 +202,10 @@ export default class ProductGroupProposals extends LightningElement {
         return !this.isLoading && !this.error && (!this.proposals || this.proposals.length === 0);
     }
 
+    get hasModifyMaxQuantity() {
+        return this.modifyMaxQuantity !== null;
+    }
+
     get proposalsDisplay() {
         if (!this.proposals) return [];
 
@@ -172,6 +214,7 @@ export default class ProductGroupProposals extends LightningElement {
             const propId = proposal.Id;
             const existingOrder = this.existingOrders[propId];
             const quantity = this.quantities[propId] || 1;
+            const quantityRange = this.getQuantityRange(propId);
             const isProcessing = this.processingProposals[propId] || false;
 
             const booked = proposal.Booked_Quota__c || 0;
@@ -182,22 +225,26 @@ export default class ProductGroupProposals extends LightningElement {
 
             const discountTiers = (p.discountTiers || []).map(tier => ({
                 id: tier.Id,
-                label: `${tier.Discount__c || 0}% (${tier.Min_Quota_For_Discount__c || 0}+)`,
+                label: `${formatTierDiscount(tier)} (${tier.Min_Quota_For_Discount__c || 0}+)`,
                 tierClass: 'tier-badge' + (tier.Id === p.currentTierId ? ' tier-current' : '')
             }));
 
-            let canJoin = available > 0 && this.canInteract;
+            const isWaitlisted = existingOrder?.Status__c === ORDER_STATUS.WAITLISTED;
+            const isFull = available <= 0;
+
+            let canJoin = !isFull && this.canInteract;
             let cannotJoinReason = '';
             if (!this._isLoggedIn) {
                 cannotJoinReason = 'Please log in to join';
-            } else if (available <= 0) {
-                cannotJoinReason = 'No spots available';
             }
 
             return {
                 id: propId,
                 name: proposal.Name,
-                endDateFormatted: this.formatDateTime(proposal.End_Date__c),
+                startDate: proposal.Start_Date__c,
+                endDate: proposal.End_Date__c,
+                endDateFormatted: formatDateTime(proposal.End_Date__c, ''),
+                deadlineBadges: getDeadlineBadges(proposal),
                 paymentType: proposal.Type__c || 'Standard',
                 bookedQuota: booked,
                 minQuota: minQuota,
@@ -207,17 +254,23 @@ export default class ProductGroupProposals extends LightningElement {
                 progressText: `${Math.round(progress)}% to goal`,
                 progressClass: progress >= 100 ? 'progress-text goal-reached' : 'progress-text',
                 currentDiscount: p.currentDiscount,
-                currentDiscountFormatted: `${p.currentDiscount || 0}% OFF`,
+                currentDiscountFormatted: formatDiscount(p.currentDiscount),
                 maxDiscount: p.maxDiscount,
-                maxDiscountFormatted: `${p.maxDiscount || 0}% OFF`,
+                maxDiscountFormatted: formatDiscount(p.maxDiscount),
                 hasDiscounts: discountTiers.length > 0,
                 discountTiers: discountTiers,
                 hasExistingOrder: !!existingOrder,
                 existingOrderId: existingOrder?.Id,
                 existingOrderQty: existingOrder?.Quantity__c || 0,
+                isWaitlisted: isWaitlisted,
+                waitlistLabel: isWaitlisted ? formatWaitlistPosition(this.waitlistPositions[existingOrder.Id]) : '',
                 canJoin: canJoin && !existingOrder,
+                canJoinWaitlist: isFull && this.canInteract && !existingOrder,
                 cannotJoinReason: cannotJoinReason,
                 quantity: quantity,
+                minQuantity: quantityRange.min,
+                maxQuantity: Number.isFinite(quantityRange.max) ? quantityRange.max : null,
+                accountLimitsLabel: formatAccountLimits(proposal),
                 isProcessing: isProcessing
             };
         });
@@ -249,62 +302,175 @@ export default class ProductGroupProposals extends LightningElement {
 
             this.proposals.forEach(p => {
                 if (!this.quantities[p.proposal.Id]) {
-                    this.quantities[p.proposal.Id] = 1;
+                    this.quantities[p.proposal.Id] = this.getQuantityRange(p.proposal.Id).min;
                 }
             });
 
             if (this._isLoggedIn) {
-                this.existingOrders = await getExistingOrdersForProduct({
-                    productId: prodId,
-                    accountId: this.effectiveAccountId
-                });
+                await this.loadExistingOrders();
             }
         } catch (err) {
             console.error('Error loading proposals:', err);
-            this.error = this.reduceErrors(err);
+            this.error = reduceErrors(err);
         } finally {
             this.isLoading = false;
         }
     }
 
+    async loadExistingOrders() {
+        this.existingOrders = await getExistingOrdersForProduct({
+            productId: this.effectiveProductId,
+            accountId: this.effectiveAccountId
+        });
+
+        const waitlistedOrderIds = this.getWaitlistedOrderIds();
+        this.waitlistPositions = waitlistedOrderIds.length > 0
+            ? await getWaitlistPositions({ orderIds: waitlistedOrderIds })
+            : {};
+    }
+
+    getWaitlistedOrderIds() {
+        return Object.values(this.existingOrders || {})
+            .filter(order => order.Status__c === ORDER_STATUS.WAITLISTED)
+            .map(order => order.Id);
+    }
+
     async reloadData() {
         this._dataLoaded = false;
         this.existingOrders = {};
+        this.waitlistPositions = {};
         await this.loadData();
     }
 
+    // ================================
+    // LIVE UPDATES
+    // ================================
+
+    async startLiveUpdates() {
+        const stop = await subscribeToProposalChanges((changedProposalId) => {
+            this.handleProposalChange(changedProposalId);
+        });
+
+        // The component may have been removed while subscribing
+        if (!this._isConnected) {
+            stop();
+            return;
+        }
+        this._stopLiveUpdates = stop;
+    }
+
+    stopLiveUpdates() {
+        if (this._stopLiveUpdates) {
+            this._stopLiveUpdates();
+            this._stopLiveUpdates = null;
+        }
+    }
+
+    handleProposalChange(changedProposalId) {
+        const proposalIds = (this.proposals || []).map(p => p.proposal.Id);
+        // Own actions reload the list when they complete
+        if (proposalIds.length === 0 || this.isProcessing) {
+            return;
+        }
+        // Streamed events carry an Id, polling ticks refresh everything shown
+        if (changedProposalId && !proposalIds.includes(changedProposalId)) {
+            return;
+        }
+        this.refreshQuotas(changedProposalId ? [changedProposalId] : proposalIds);
+    }
+
+    async refreshQuotas(proposalIds) {
+        if (this.isLoading) {
+            return;
+        }
+
+        try {
+            const snapshots = await getProposalQuotaSnapshots({ proposalIds });
+            const snapshotMap = new Map(snapshots.map(s => [s.proposalId, s]));
+
+            // A proposal that is no longer active drops out of the list
+            if (snapshots.some(s => !s.isActive)) {
+                await this.reloadData();
+                return;
+            }
+
+            this.proposals = this.proposals.map(p => {
+                const snapshot = snapshotMap.get(p.proposal.Id);
+                return snapshot ? this.applyQuotaSnapshot(p, snapshot) : p;
+            });
+
+            // Waitlisted orders may have moved up or been promoted
+            if (this.getWaitlistedOrderIds().length > 0) {
+                await this.loadExistingOrders();
+            }
+        } catch (err) {
+            console.error('Error refreshing quotas:', err);
+        }
+    }
+
+    applyQuotaSnapshot(proposalWithDiscounts, snapshot) {
+        const propId = proposalWithDiscounts.proposal.Id;
+        const quantity = this.quantities[propId] || 1;
+        // A full proposal keeps the quantity entered for its waitlist
+        if (snapshot.availableQuota > 0) {
+            const { max } = getOrderQuantityRange(proposalWithDiscounts.proposal, snapshot.availableQuota);
+            if (quantity > max) {
+                this.quantities = { ...this.quantities, [propId]: max };
+            }
+        }
+
+        return {
+            ...proposalWithDiscounts,
+            proposal: {
+                ...proposalWithDiscounts.proposal,
+                Booked_Quota__c: snapshot.bookedQuota
+            },
+            availableQuota: snapshot.availableQuota,
+            progressPercentage: snapshot.progressPercentage,
+            isMinQuotaReached: snapshot.isMinQuotaReached,
+            currentTierId: snapshot.currentTierId,
+            currentDiscount: snapshot.currentDiscount
+        };
+    }
+
     // ================================
     // QUANTITY HANDLERS
     // ================================
 
+    // Full proposals take any quantity for their waitlist, within the per-account limits
+    getQuantityRange(proposalId) {
+        const proposal = this.proposals.find(p => p.proposal.Id === proposalId);
+        const available = proposal?.availableQuota || 0;
+        return getOrderQuantityRange(proposal?.proposal, available > 0 ? available : Infinity);
+    }
+
     handleQtyChange(event) {
         const proposalId = event.target.dataset.proposalId;
         let val = parseInt(event.target.value, 10);
-        const proposal = this.proposals.find(p => p.proposal.Id === proposalId);
-        const maxQty = proposal?.availableQuota || 1;
+        const { min, max } = this.getQuantityRange(proposalId);
 
-        if (isNaN(val) || val < 1) val = 1;
-        if (val > maxQty) val = maxQty;
+        if (isNaN(val) || val < min) val = min;
+        if (val > max) val = max;
 
         this.quantities = { ...this.quantities, [proposalId]: val };
     }
 
     handleIncreaseQty(event) {
         const proposalId = event.target.dataset.proposalId;
-        const proposal = this.proposals.find(p => p.proposal.Id === proposalId);
-        const maxQty = proposal?.availableQuota || 1;
+        const { max } = this.getQuantityRange(proposalId);
         const currentQty = this.quantities[proposalId] || 1;
 
-        if (currentQty < maxQty) {
+        if (currentQty < max) {
             this.quantities = { ...this.quantities, [proposalId]: currentQty + 1 };
         }
     }
 
     handleDecreaseQty(event) {
         const proposalId = event.target.dataset.proposalId;
+        const { min } = this.getQuantityRange(proposalId);
         const currentQty = this.quantities[proposalId] || 1;
 
-        if (currentQty > 1) {
+        if (currentQty > min) {
             this.quantities = { ...this.quantities, [proposalId]: currentQty - 1 };
         }
     }
@@ -313,41 +479,136 @@ export default class ProductGroupProposals extends LightningElement {
     // CONNECT TO GROUP
     // ================================
 
-    async handleConnectToGroup(event) {
-        const proposalId = event.target.dataset.proposalId;
-        const quantity = this.quantities[proposalId] || 1;
-
+    // Joining asks for a card first, see handleConfirmPayment
+    handleConnectToGroup(event) {
         if (!this.canInteract) {
             this.showNotification('Please log in to join', 'error');
             return;
         }
 
+        this.paymentProposalId = event.target.dataset.proposalId;
+        this.isWaitlistPayment = false;
+        this.showPaymentModal = true;
+    }
+
+    handleClosePaymentModal() {
+        this.showPaymentModal = false;
+        this.paymentProposalId = null;
+        this.isWaitlistPayment = false;
+    }
+
+    get paymentNotice() {
+        const proposal = this.proposals.find(p => p.proposal.Id === this.paymentProposalId);
+        return proposal ? getPaymentNotice(proposal.proposal.Type__c, this.isWaitlistPayment) : '';
+    }
+
+    get confirmPaymentLabel() {
+        return this.isWaitlistPayment ? 'Join Waitlist' : 'Connect To Group';
+    }
+
+    async handleConfirmPayment() {
+        const proposalId = this.paymentProposalId;
+        if (!proposalId) return;
+
+        const cardComponent = this.template.querySelector('c-card-payment-method');
+        if (!cardComponent || !cardComponent.reportValidity()) return;
+
+        const quantity = this.quantities[proposalId] || 1;
+        this.isProcessing = true;
         this.processingProposals = { ...this.processingProposals, [proposalId]: true };
 
         try {
-            const result = await createConditionalOrder({
+            // Tokenized in its own call: the card callout cannot follow the order insert
+            const paymentMethodId = await tokenizePaymentMethod({
+                paymentInfo: getCardPaymentInfo(cardComponent),
+                billingAddress: null
+            });
+
+            if (this.isWaitlistPayment) {
+                await this.submitWaitlist(proposalId, quantity, paymentMethodId);
+                return;
+            }
+
+            const result = await createPaidConditionalOrder({
                 proposalId: proposalId,
                 accountId: this.effectiveAccountId,
-                quantity: quantity
+                quantity: quantity,
+                paymentMethodId
             });
 
             if (result.success) {
+                this.handleClosePaymentModal();
                 this.showNotification(result.message || 'Successfully joined the group!', 'success');
                 this.dispatchEvent(new CustomEvent('orderplaced', {
                     detail: { proposalId, orderId: result.order?.Id, quantity }
                 }));
                 await this.reloadData();
+            } else if (result.resultCode === ORDER_RESULT_CODE.QUOTA_EXHAUSTED) {
+                this.handleClosePaymentModal();
+                await this.handleQuotaExhausted(proposalId, result);
             } else {
+                // Declined cards keep the modal open to try another card
                 this.showNotification(result.message || 'Failed to join', 'error');
             }
         } catch (err) {
             console.error('Error joining group:', err);
-            this.showNotification(this.reduceErrors(err), 'error');
+            this.showNotification(reduceErrors(err), 'error');
         } finally {
+            this.isProcessing = false;
             this.processingProposals = { ...this.processingProposals, [proposalId]: false };
         }
     }
 
+    // Other buyers booked the quota before the request was saved:
+    // refresh the proposal (which also clamps its quantity) and show what is actually left
+    async handleQuotaExhausted(proposalId, result) {
+        await this.refreshQuotas([proposalId]);
+
+        this.showNotification(
+            result.availableQuota > 0
+                ? `Other buyers just joined. Only ${result.availableQuota} units are still available.`
+                : result.message,
+            'info'
+        );
+    }
+
+    // ================================
+    // JOIN WAITLIST
+    // ================================
+
+    // Joining the waitlist also asks for a card, placed orders are paid with it
+    handleJoinWaitlist(event) {
+        if (!this.canInteract) {
+            this.showNotification('Please log in to join', 'error');
+            return;
+        }
+
+        this.paymentProposalId = event.target.dataset.proposalId;
+        this.isWaitlistPayment = true;
+        this.showPaymentModal = true;
+    }
+
+    // Called by handleConfirmPayment once the card is tokenized
+    async submitWaitlist(proposalId, quantity, paymentMethodId) {
+        const result = await joinWaitlist({
+            proposalId: proposalId,
+            accountId: this.effectiveAccountId,
+            quantity: quantity,
+            paymentMethodId
+        });
+
+        if (result.success) {
+            this.handleClosePaymentModal();
+            this.showNotification(result.message || 'You joined the waitlist!', 'success');
+            this.dispatchEvent(new CustomEvent('waitlistjoined', {
+                detail: { proposalId, orderId: result.order?.Id, quantity, position: result.waitlistPosition }
+            }));
+            await this.reloadData();
+        } else {
+            this.showNotification(result.message || 'Failed to join the waitlist', 'error');
+        }
+    }
+
     // ================================
     // MODIFY ORDER
     // ================================
@@ -361,10 +622,22 @@ export default class ProductGroupProposals extends LightningElement {
 
         this.modifyProposalId = proposalId;
         this.modifyQuantity = existingOrder.Quantity__c || 1;
-        this.modifyMaxQuantity = (proposal.availableQuota || 0) + (existingOrder.Quantity__c || 0);
+        this.setModifyRange(proposal, existingOrder);
         this.showModifyModal = true;
     }
 
+    // Waitlisted orders do not book quota, so only the per-account limits apply
+    setModifyRange(proposal, existingOrder) {
+        const { min, max } = getOrderQuantityRange(
+            proposal.proposal,
+            existingOrder.Status__c === ORDER_STATUS.WAITLISTED
+                ? Infinity
+                : (proposal.availableQuota || 0) + (existingOrder.Quantity__c || 0)
+        );
+        this.modifyMinQuantity = min;
+        this.modifyMaxQuantity = Number.isFinite(max) ? max : null;
+    }
+
     handleCloseModifyModal() {
         this.showModifyModal = false;
         this.modifyProposalId = null;
@@ -372,8 +645,8 @@ export default class ProductGroupProposals extends LightningElement {
 
     handleModifyQtyChange(event) {
         let val = parseInt(event.target.value, 10);
-        if (isNaN(val) || val < 1) val = 1;
-        if (val > this.modifyMaxQuantity) val = this.modifyMaxQuantity;
+        if (isNaN(val) || val < this.modifyMinQuantity) val = this.modifyMinQuantity;
+        if (this.hasModifyMaxQuantity && val > this.modifyMaxQuantity) val = this.modifyMaxQuantity;
         this.modifyQuantity = val;
     }
 
@@ -395,12 +668,22 @@ export default class ProductGroupProposals extends LightningElement {
                 this.showNotification(result.message || 'Order updated successfully!', 'success');
                 this.showModifyModal = false;
                 await this.reloadData();
+            } else if (result.resultCode === ORDER_RESULT_CODE.QUOTA_EXHAUSTED) {
+                await this.handleQuotaExhausted(this.modifyProposalId, result);
+                const proposal = this.proposals.find(p => p.proposal.Id === this.modifyProposalId);
+                if (proposal) {
+                    this.setModifyRange(proposal, existingOrder);
+                }
+                if (this.hasModifyMaxQuantity) {
+                    this.modifyQuantity = Math.min(this.modifyQuantity, this.modifyMaxQuantity);
+                }
             } else {
+                // Includes PAYMENT_DECLINED: the authorization of the new amount failed
                 this.showNotification(result.message || 'Failed to update', 'error');
             }
         } catch (err) {
             console.error('Error updating order:', err);
-            this.showNotification(this.reduceErrors(err), 'error');
+            this.showNotification(reduceErrors(err), 'error');
         } finally {
             this.isProcessing = false;
         }
@@ -445,33 +728,12 @@ export default class ProductGroupProposals extends LightningElement {
             }
         } catch (err) {
             console.error('Error cancelling order:', err);
-            this.showNotification(this.reduceErrors(err), 'error');
+            this.showNotification(reduceErrors(err), 'error');
         } finally {
             this.isProcessing = false;
         }
     }
 
-    // ================================
-    // UTILITIES
-    // ================================
-
-    formatDateTime(dateTimeStr) {
-        if (!dateTimeStr) return '';
-        return new Date(dateTimeStr).toLocaleDateString(undefined, {
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-    }
-
-    reduceErrors(error) {
-        if (typeof error === 'string') return error;
-        if (error?.body?.message) return error.body.message;
-        if (error?.message) return error.message;
-        return 'An unexpected error occurred';
-    }
-
     @api
     refresh() {
         return this.reloadData();